@@ -0,0 +1,5 @@
+"use strict";
+
+class AbortError extends Error {}
+
+exports.AbortError = AbortError;
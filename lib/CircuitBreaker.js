@@ -0,0 +1,95 @@
+"use strict";
+
+/**
+ * Tracks consecutive `factory.create` failures of a pool.
+ *
+ * The circuit opens after `threshold` consecutive failures. While open,
+ * no create is allowed. Once `resetMillis` have passed it is half-open: a
+ * single create is let through as a probe, closing the circuit on success
+ * and opening it again on failure.
+ *
+ * @private
+ * @class
+ * @param {Number} threshold Consecutive failures opening the circuit, 0 disables it
+ * @param {Number} resetMillis Delay before a probe is allowed
+ */
+class CircuitBreaker {
+  constructor(threshold, resetMillis) {
+    this._threshold = threshold;
+    this._resetMillis = resetMillis;
+    this._failures = 0;
+    this._openedAt = null;
+    this._probing = false;
+  }
+
+  /**
+   * @returns {String} "closed", "open" or "half-open"
+   */
+  get state() {
+    if (this._openedAt === null) {
+      return "closed";
+    }
+
+    return Date.now() - this._openedAt >= this._resetMillis
+      ? "half-open"
+      : "open";
+  }
+
+  get failures() {
+    return this._failures;
+  }
+
+  /**
+   * Whether a create may start now. In half-open state this claims the
+   * single probe.
+   *
+   * @returns {Boolean}
+   */
+  tryCreate() {
+    switch (this.state) {
+      case "closed":
+        return true;
+      case "half-open":
+        if (this._probing) return false;
+        this._probing = true;
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * @returns {Boolean} Whether this closed the circuit
+   */
+  success() {
+    const wasOpen = this._openedAt !== null;
+
+    this._failures = 0;
+    this._openedAt = null;
+    this._probing = false;
+
+    return wasOpen;
+  }
+
+  /**
+   * @returns {Boolean} Whether this opened the circuit
+   */
+  failure() {
+    const probe = this._probing;
+
+    this._failures++;
+    this._probing = false;
+
+    if (
+      this._threshold > 0 &&
+      (probe || (this._openedAt === null && this._failures >= this._threshold))
+    ) {
+      this._openedAt = Date.now();
+      return true;
+    }
+
+    return false;
+  }
+}
+
+module.exports = CircuitBreaker;
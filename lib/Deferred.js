@@ -3,8 +3,23 @@
 const { TimeoutError } = require("./TimeoutError");
 
 class Deferred {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Number} [options.priority=0]
+   * @param {String} [options.stack] Stack trace of the call site
+   * @param {Object} [options.match] Tags the resource should have
+   * @param {String} [options.key] Quota key the request counts against
+   */
+  constructor(options) {
+    options = options || {};
+
     this._timeout = null;
+    this._priority = options.priority || 0;
+    this._stack = options.stack || null;
+    this._match = options.match || null;
+    this._key = options.key === undefined ? null : options.key;
+    this._settled = false;
+    this._createdAt = Date.now();
     this._promise = new Promise((resolve, reject) => {
       this._reject = reject;
       this._resolve = resolve;
@@ -15,8 +30,12 @@ class Deferred {
     if (this._timeout) return;
 
     this._timeout = setTimeout(() => {
+      const error = new TimeoutError("Operation timeout");
+      error.timeoutMillis = timeoutInMillis;
+      error.elapsedMillis = Date.now() - this._createdAt;
+
       callback();
-      this.reject(new TimeoutError("Operation timeout"));
+      this.reject(error);
     }, timeoutInMillis);
   }
 
@@ -27,13 +46,39 @@ class Deferred {
     this._timeout = null;
   }
 
+  get priority() {
+    return this._priority;
+  }
+
+  get stack() {
+    return this._stack;
+  }
+
+  get match() {
+    return this._match;
+  }
+
+  get key() {
+    return this._key;
+  }
+
+  get createdAt() {
+    return this._createdAt;
+  }
+
+  get settled() {
+    return this._settled;
+  }
+
   resolve(value) {
     this._clearTimeout();
+    this._settled = true;
     this._resolve(value);
   }
 
   reject(error) {
     this._clearTimeout();
+    this._settled = true;
     this._reject(error);
   }
 
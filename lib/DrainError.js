@@ -0,0 +1,5 @@
+"use strict";
+
+class DrainError extends Error {}
+
+exports.DrainError = DrainError;
@@ -0,0 +1,152 @@
+"use strict";
+
+/**
+ * Hosts a pool creates its resources on, with their health.
+ *
+ * Creates are spread across the hosts that are up in proportion to their
+ * weight (smooth weighted round-robin). A host is marked down after
+ * `threshold` consecutive failures. Once `retryMillis` have passed a single
+ * create is let through to it as a probe, marking it up again on success
+ * and down for another `retryMillis` on failure.
+ *
+ * @private
+ * @class
+ * @param {Object[]} hosts `{ name, create, weight }` entries
+ * @param {Number} threshold Consecutive failures marking a host down
+ * @param {Number} retryMillis Delay before a down host is probed
+ */
+class HostSet {
+  constructor(hosts, threshold, retryMillis) {
+    this._threshold = threshold;
+    this._retryMillis = retryMillis;
+    this._hosts = hosts.map(host => ({
+      name: host.name,
+      create: host.create,
+      weight: host.weight || 1,
+      failures: 0,
+      downAt: null,
+      probing: false,
+      current: 0
+    }));
+  }
+
+  /**
+   * Host to run the next create on, or null when they are all down.
+   *
+   * @returns {Object|null}
+   */
+  pick() {
+    const now = Date.now();
+    const up = [];
+    let total = 0;
+    let best = null;
+
+    for (let i = 0; i < this._hosts.length; i++) {
+      const host = this._hosts[i];
+
+      if (host.downAt === null) {
+        up.push(host);
+        total += host.weight;
+      } else if (this._due(host, now)) {
+        host.probing = true;
+        return host;
+      }
+    }
+
+    up.forEach(host => {
+      host.current += host.weight;
+      if (!best || host.current > best.current) {
+        best = host;
+      }
+    });
+
+    if (best) {
+      best.current -= total;
+    }
+
+    return best;
+  }
+
+  /**
+   * @returns {Boolean} Whether a down host is due for a probe
+   */
+  probeDue() {
+    const now = Date.now();
+    return this._hosts.some(host => this._due(host, now));
+  }
+
+  /**
+   * @private
+   * @param {Object} host
+   * @param {Number} now
+   * @returns {Boolean}
+   */
+  _due(host, now) {
+    return (
+      host.downAt !== null &&
+      !host.probing &&
+      now - host.downAt >= this._retryMillis
+    );
+  }
+
+  /**
+   * @returns {Boolean} Whether a host is up
+   */
+  anyUp() {
+    return this._hosts.some(host => host.downAt === null);
+  }
+
+  /**
+   * @param {Object} host
+   * @returns {Boolean} Whether `host` was down
+   */
+  success(host) {
+    const wasDown = host.downAt !== null;
+
+    host.failures = 0;
+    host.downAt = null;
+    host.probing = false;
+
+    return wasDown;
+  }
+
+  /**
+   * @param {Object} host
+   * @returns {Boolean} Whether `host` has just been marked down
+   */
+  failure(host) {
+    host.failures++;
+
+    if (host.downAt !== null) {
+      // failed probe, or a resource created before going down
+      if (host.probing) {
+        host.probing = false;
+        host.downAt = Date.now();
+      }
+      return false;
+    }
+
+    if (host.failures >= this._threshold) {
+      host.downAt = Date.now();
+      host.current = 0;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * @returns {Object[]} Serializable state of every host
+   */
+  describe() {
+    return this._hosts.map(host => ({
+      name: host.name,
+      weight: host.weight,
+      state: host.downAt === null ? "up" : host.probing ? "probing" : "down",
+      failures: host.failures,
+      downSince: host.downAt
+    }));
+  }
+}
+
+module.exports = HostSet;
@@ -0,0 +1,271 @@
+"use strict";
+
+const DEFAULT_BUCKETS = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000];
+
+/**
+ * Collects counters, high-water marks and the acquire wait-time histogram
+ * of a pool. Fed by the pool with every lifecycle event it emits.
+ *
+ * @private
+ * @class
+ * @param {Number[]} [buckets]
+ *   Upper bounds (inclusive, in milliseconds) of the acquire wait-time
+ *   histogram buckets.
+ */
+class Metrics {
+  constructor(buckets) {
+    this._buckets = (buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+    this._bucketCounts = this._buckets.map(() => 0);
+    this._waitSum = 0;
+    this._waitCount = 0;
+
+    this._created = 0;
+    this._destroyed = 0;
+    this._destroyFailures = 0;
+    this._createFailures = 0;
+    this._createTimeouts = 0;
+    this._validationFailures = 0;
+    this._acquireTimeouts = 0;
+    this._queueFullRejections = 0;
+    this._brokenReleases = 0;
+    this._leaks = 0;
+
+    this._maxUsing = 0;
+    this._maxWaiting = 0;
+  }
+
+  /**
+   * Account for a pool event.
+   *
+   * @param {string} event
+   * @param {Object} data Event payload, including the pool counters
+   */
+  record(event, data) {
+    switch (event) {
+      case "create":
+        this._created++;
+        break;
+      case "createError":
+        this._createFailures++;
+        break;
+      case "createTimeout":
+        this._createTimeouts++;
+        break;
+      case "destroy":
+        this._destroyed++;
+        break;
+      case "destroyError":
+        this._destroyFailures++;
+        break;
+      case "validateFail":
+        this._validationFailures++;
+        break;
+      case "acquireTimeout":
+        this._acquireTimeouts++;
+        break;
+      case "queueFull":
+        this._queueFullRejections++;
+        break;
+      case "release":
+        if (data.broken) this._brokenReleases++;
+        break;
+      case "leak":
+        this._leaks++;
+        break;
+      case "acquire":
+        this._observeWait(data.duration);
+        break;
+    }
+
+    this.sample(data);
+  }
+
+  /**
+   * Update the high-water marks from the current pool counters.
+   *
+   * @param {Object} counters
+   */
+  sample(counters) {
+    this._maxUsing = Math.max(this._maxUsing, counters.using);
+    this._maxWaiting = Math.max(this._maxWaiting, counters.waiting);
+  }
+
+  /**
+   * @private
+   * @param {Number} duration
+   */
+  _observeWait(duration) {
+    this._waitSum += duration;
+    this._waitCount++;
+
+    for (let i = 0; i < this._buckets.length; i++) {
+      if (duration <= this._buckets[i]) {
+        this._bucketCounts[i]++;
+        break;
+      }
+    }
+  }
+
+  /**
+   * @param {Object} counters Current pool counters, included as-is
+   * @returns {Object} Plain, serializable copy of the collected metrics
+   */
+  snapshot(counters) {
+    let cumulative = 0;
+    const buckets = this._buckets.map((le, i) => {
+      cumulative += this._bucketCounts[i];
+      return { le, count: cumulative };
+    });
+    buckets.push({ le: Infinity, count: this._waitCount });
+
+    return Object.assign({}, counters, {
+      maxUsing: this._maxUsing,
+      maxWaiting: this._maxWaiting,
+      created: this._created,
+      destroyed: this._destroyed,
+      destroyFailures: this._destroyFailures,
+      createFailures: this._createFailures,
+      createTimeouts: this._createTimeouts,
+      validationFailures: this._validationFailures,
+      acquireTimeouts: this._acquireTimeouts,
+      queueFullRejections: this._queueFullRejections,
+      brokenReleases: this._brokenReleases,
+      leaks: this._leaks,
+      acquireWaitMillis: {
+        buckets,
+        sum: this._waitSum,
+        count: this._waitCount
+      }
+    });
+  }
+}
+
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const pairs = Object.keys(labels).map(
+    name => `${name}="${escapeLabelValue(labels[name])}"`
+  );
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * Render metrics returned by `pool.metrics()` in the Prometheus text
+ * exposition format.
+ *
+ * @param {Object} metrics Result of `pool.metrics()`
+ * @param {Object} [options]
+ * @param {String} [options.prefix="sequelize_pool"] Metric name prefix
+ * @param {Object} [options.labels] Extra labels added to every sample.
+ *   A `pool` label with the pool name is added unless given here.
+ * @returns {String}
+ */
+function toPrometheus(metrics, options) {
+  options = options || {};
+  const prefix = options.prefix || "sequelize_pool";
+  const labels = Object.assign(
+    metrics.name === undefined ? {} : { pool: metrics.name },
+    options.labels
+  );
+  const lines = [];
+
+  const write = (name, type, help, value) => {
+    lines.push(`# HELP ${prefix}_${name} ${help}`);
+    lines.push(`# TYPE ${prefix}_${name} ${type}`);
+    lines.push(`${prefix}_${name}${formatLabels(labels)} ${value}`);
+  };
+
+  write("size", "gauge", "Resources in the pool.", metrics.size);
+  write("available", "gauge", "Idle resources.", metrics.available);
+  write("using", "gauge", "Resources in use.", metrics.using);
+  write("waiting", "gauge", "Pending acquire calls.", metrics.waiting);
+  write(
+    "using_max",
+    "gauge",
+    "High-water mark of resources in use.",
+    metrics.maxUsing
+  );
+  write(
+    "waiting_max",
+    "gauge",
+    "High-water mark of pending acquire calls.",
+    metrics.maxWaiting
+  );
+  write("created_total", "counter", "Resources created.", metrics.created);
+  write(
+    "destroyed_total",
+    "counter",
+    "Resources destroyed.",
+    metrics.destroyed
+  );
+  write(
+    "create_failures_total",
+    "counter",
+    "Failed factory.create calls.",
+    metrics.createFailures
+  );
+  write(
+    "create_timeouts_total",
+    "counter",
+    "Abandoned factory.create calls.",
+    metrics.createTimeouts
+  );
+  write(
+    "destroy_failures_total",
+    "counter",
+    "Failed factory.destroy calls.",
+    metrics.destroyFailures
+  );
+  write(
+    "validation_failures_total",
+    "counter",
+    "Resources that failed validation.",
+    metrics.validationFailures
+  );
+  write(
+    "acquire_timeouts_total",
+    "counter",
+    "Acquire calls rejected with a timeout.",
+    metrics.acquireTimeouts
+  );
+  write(
+    "queue_full_rejections_total",
+    "counter",
+    "Acquire calls rejected because the waiting queue was full.",
+    metrics.queueFullRejections
+  );
+  write(
+    "broken_releases_total",
+    "counter",
+    "Resources released with an error marking them as broken.",
+    metrics.brokenReleases
+  );
+  write(
+    "leaks_total",
+    "counter",
+    "Resources held longer than the leak detection threshold.",
+    metrics.leaks
+  );
+
+  const histogram = `${prefix}_acquire_wait_milliseconds`;
+  const wait = metrics.acquireWaitMillis;
+  lines.push(`# HELP ${histogram} Time acquire calls waited for a resource.`);
+  lines.push(`# TYPE ${histogram} histogram`);
+  wait.buckets.forEach(bucket => {
+    const le = bucket.le === Infinity ? "+Inf" : bucket.le;
+    const bucketLabels = formatLabels(Object.assign({}, labels, { le }));
+    lines.push(`${histogram}_bucket${bucketLabels} ${bucket.count}`);
+  });
+  lines.push(`${histogram}_sum${formatLabels(labels)} ${wait.sum}`);
+  lines.push(`${histogram}_count${formatLabels(labels)} ${wait.count}`);
+
+  return lines.join("\n") + "\n";
+}
+
+exports.Metrics = Metrics;
+exports.toPrometheus = toPrometheus;
@@ -1,6 +1,99 @@
 "use strict";
 
+const EventEmitter = require("events");
 const Deferred = require("./Deferred");
+const PriorityQueue = require("./PriorityQueue");
+const CircuitBreaker = require("./CircuitBreaker");
+const HostSet = require("./HostSet");
+const { TimeoutError } = require("./TimeoutError");
+const { AbortError } = require("./AbortError");
+const { DrainError } = require("./DrainError");
+const { PoolUnavailableError } = require("./PoolUnavailableError");
+const { QueueFullError } = require("./QueueFullError");
+const { PoolCluster } = require("./PoolCluster");
+const { Metrics, toPrometheus } = require("./Metrics");
+
+const DISPENSE_ORDERS = ["fifo", "lifo", "random"];
+const QUEUE_FULL_POLICIES = ["newest", "oldest"];
+
+/**
+ * Settle with the result of `promise`, or reject with a `TimeoutError`
+ * if it has not settled within `timeoutInMillis`.
+ *
+ * @private
+ * @param {Promise} promise
+ * @param {Number} timeoutInMillis
+ * @param {String} message
+ * @returns {Promise}
+ */
+function withTimeout(promise, timeoutInMillis, message) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      reject(new TimeoutError(message));
+    }, timeoutInMillis);
+
+    promise.then(
+      value => {
+        clearTimeout(timer);
+        resolve(value);
+      },
+      error => {
+        clearTimeout(timer);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Throw if `min` and `max` are not valid pool bounds.
+ *
+ * @private
+ * @param {Number} min
+ * @param {Number} max
+ */
+function checkBounds(min, max) {
+  if (typeof min !== "number" || min < 0 || min !== Math.round(min)) {
+    throw new Error("min must be an integer >= 0");
+  }
+
+  if (typeof max !== "number" || max <= 0 || max !== Math.round(max)) {
+    throw new Error("max must be an integer > 0");
+  }
+
+  if (min > max) {
+    throw new Error("max is smaller than min");
+  }
+}
+
+/**
+ * Throw if `hosts` is not a valid `factory.hosts` list.
+ *
+ * @private
+ * @param {Object[]} hosts
+ */
+function checkHosts(hosts) {
+  if (!Array.isArray(hosts) || hosts.length === 0) {
+    throw new Error("hosts must be a non-empty array");
+  }
+
+  const names = [];
+  hosts.forEach(host => {
+    if (!host.name || typeof host.create !== "function") {
+      throw new Error("every host needs a name and a create function");
+    }
+    if (
+      host.weight !== undefined &&
+      !(typeof host.weight === "number" && host.weight > 0)
+    ) {
+      throw new Error(`weight of host ${host.name} must be a number > 0`);
+    }
+    if (names.indexOf(host.name) >= 0) {
+      throw new Error(`host ${host.name} is listed twice`);
+    }
+    names.push(host.name);
+  });
+}
 
 /**
  * Generate an Object pool with a specified `factory`.
@@ -13,13 +106,29 @@ const Deferred = require("./Deferred");
  * @param {Function} factory.create
  *   Should create the item to be acquired,
  *   and call it's first callback argument with the generated item as it's argument.
+ * @param {Object[]} [factory.hosts]
+ *   Replaces `factory.create` to create items on several hosts. Each entry
+ *   has a `name`, a `create` function and a `weight` (default 1): creates
+ *   are spread across the hosts that are up in proportion to their weight.
+ * @param {Number} [factory.hostFailureThreshold=3]
+ *   Number of consecutive create failures or timeouts, or validation
+ *   failures, after which a host is marked down, and gets no creates.
+ * @param {Number} [factory.hostRetryMillis=10000]
+ *   Delay in milliseconds after which a down host gets a single create as
+ *   a probe. The host is up again when it succeeds. When it fails, the
+ *   create moves on to a host that is up. Down hosts are probed in the
+ *   background as well, as long as the pool is below `max`. A probe is
+ *   abandoned after `createTimeoutMillis`, or `hostRetryMillis` if unset.
  * @param {Function} factory.destroy
  *   Should gently close any resources that the item is using.
- *   Called before the items is destroyed.
+ *   Called before the items is destroyed. May return a Promise, which
+ *   `destroy()`, `destroyAllNow()` and `drain()` wait for.
  * @param {Function} factory.validate
  *   Should return true if connection is still valid and false
  *   If it should be removed from pool. Called before item is
- *   acquired from pool.
+ *   acquired from pool. May also return a Promise resolving to
+ *   a boolean, in which case the item is held back until it settles.
+ *   Throwing counts as invalid.
  * @param {Number} factory.max
  *   Maximum number of items that can exist at the same time.
  *   Any further acquire requests will be pushed to the waiting list.
@@ -34,15 +143,162 @@ const Deferred = require("./Deferred");
  * @param {Number} [factory.acquireTimeoutMillis=30000]
  *   Delay in milliseconds after which pending acquire request in the pool will be rejected.
  *   Pending acquires are acquire calls which are yet to receive an response from factory.create
+ * @param {Number} [factory.createTimeoutMillis=0]
+ *   Delay in milliseconds after which a pending `factory.create` is abandoned
+ *   and counted as failed, freeing its slot. A resource it still yields later
+ *   is destroyed. 0 waits forever.
+ * @param {Number} [factory.validateTimeoutMillis=5000]
+ *   Delay in milliseconds after which a pending asynchronous `factory.validate`
+ *   is considered failed, and the item is destroyed.
+ * @param {String} [factory.dispenseOrder="fifo"]
+ *   Which available item is reused first: "fifo" the one released the
+ *   longest ago, rotating through all items; "lifo" the one released last,
+ *   keeping a hot set and letting the others time out; "random" any of them.
+ * @param {Number} [factory.maxWaitingClients=0]
+ *   Maximum number of pending acquire requests. Further requests are
+ *   rejected with a `QueueFullError` right away. 0 means no limit.
+ * @param {String} [factory.queueFullPolicy="newest"]
+ *   Which request is rejected when the waiting queue is full: "newest" the
+ *   incoming one, "oldest" the one waiting the longest, making room for the
+ *   incoming one.
+ * @param {Object} [factory.quotas]
+ *   Limits for requests made with `acquire({ key })`, by key: `maxInUse`
+ *   resources in use at the same time, further requests waiting until one
+ *   is released, and `maxWaiting` pending requests, further ones being
+ *   rejected with a `QueueFullError`. 0 or omitted means no limit.
+ * @param {Object} [factory.defaultQuota]
+ *   `{ maxInUse, maxWaiting }` applying to the keys missing from
+ *   `factory.quotas`.
+ * @param {Number} [factory.priorityRange=1]
+ *   Number of priority levels accepted by `acquire({ priority })`, an
+ *   integer >= 1. Priority 0 is served first.
+ * @param {Number} [factory.priorityAgingMillis=0]
+ *   Time in milliseconds after which a pending acquire is promoted by
+ *   one priority level, so lower priorities cannot starve. 0 disables aging.
+ * @param {Number} [factory.createRetries=0]
+ *   Number of times a failed `factory.create` is retried before the
+ *   waiting acquire is rejected.
+ * @param {Number} [factory.createRetryDelayMillis=100]
+ *   Base delay in milliseconds before a retry. It doubles with every attempt,
+ *   and is randomly shortened by up to half to spread retries.
+ * @param {Number} [factory.createRetryMaxDelayMillis=10000]
+ *   Upper bound in milliseconds of the delay before a retry.
+ * @param {Number} [factory.circuitBreakerThreshold=0]
+ *   Number of consecutive `factory.create` failures after which the pool
+ *   stops creating resources and rejects acquires idle resources cannot serve
+ *   with a `PoolUnavailableError`. 0 disables the circuit breaker.
+ * @param {Number} [factory.circuitBreakerResetMillis=10000]
+ *   Delay in milliseconds after which an open circuit lets a single create
+ *   through as a probe. The circuit closes again when it succeeds.
+ * @param {Number} [factory.maxLifetimeMillis=0]
+ *   Age in milliseconds after which a resource is retired: destroyed when
+ *   released or found idle, instead of being reused. 0 disables it.
+ * @param {Number} [factory.maxLifetimeJitterMillis=0]
+ *   Up to this many milliseconds are randomly taken off each resource's
+ *   `maxLifetimeMillis`, so resources created together do not all retire at once.
+ * @param {Number} [factory.maxUses=0]
+ *   Number of acquisitions after which a resource is retired. 0 disables it.
+ * @param {Number} [factory.destroyTimeoutMillis=5000]
+ *   Delay in milliseconds after which a pending `factory.destroy` Promise
+ *   is considered failed and no longer waited for.
  * @param {Number} [factory.reapIntervalMillis=1000]
  *   Clean up is scheduled in every `factory.reapIntervalMillis` milliseconds.
+ * @param {Number} [factory.testOnIdleIntervalMillis=0]
+ *   When set, available items left idle for this long are checked by the
+ *   reaper, with `factory.keepalive` or else `factory.validate`. Dead items
+ *   are destroyed and replaced. 0 disables idle checks.
+ * @param {Function} [factory.keepalive]
+ *   Should ping the resource and return a Promise, rejecting if the
+ *   resource is dead. Used for idle checks instead of `factory.validate`.
+ * @param {Number} [factory.leakDetectionThresholdMillis=0]
+ *   When set, a resource held longer than this without being released
+ *   is reported through the log and the `leak` event, along with the stack
+ *   of the acquire call. 0 disables leak detection.
+ * @param {Boolean} [factory.reclaimLeakedResources=false]
+ *   Destroy resources reported as leaked, so their slot can be reused.
+ * @param {Function} [factory.reset]
+ *   Called with a resource and the tags requested by `acquire({ match })`
+ *   when no idle resource matches them. Should reconfigure the resource,
+ *   returning a Promise if asynchronous; the tags are then added to the
+ *   resource's. A reset failing or outlasting `validateTimeoutMillis` destroys
+ *   the resource.
+ * @param {Boolean} [factory.resetOnRelease=false]
+ *   Run `factory.reset` with the resource's own tags when it is released,
+ *   before it becomes available again, to clear state left by the caller.
+ *   The resource is destroyed if the reset fails.
+ * @param {Boolean} [factory.validateOnRelease=false]
+ *   Run `factory.validate` when a resource is released, destroying it
+ *   instead of making it available again if it is invalid.
+ * @param {Function} [factory.isFatalError]
+ *   Called by `pool.use()` with the error thrown by its callback and the
+ *   resource. Should return true if the resource is broken and must be
+ *   destroyed rather than released back to the pool. A resource it throws
+ *   for is destroyed as well.
+ * @param {Function} [factory.isResourceBroken]
+ *   Called by `pool.release(resource, error)` with the error and the
+ *   resource. Should return true if the resource is broken (e.g. the
+ *   connection was reset) and must be destroyed rather than reused.
+ *   A resource it throws for is destroyed as well.
+ * @param {Number[]} [factory.acquireWaitBuckets]
+ *   Upper bounds in milliseconds of the acquire wait-time histogram
+ *   buckets reported by `pool.metrics()`.
+ * @param {Boolean} [factory.warmup=false]
+ *   Create `min` resources as soon as the pool is constructed, instead of
+ *   on demand. See `pool.ready()`.
  * @param {Boolean|Function} [factory.log=false]
  *   Whether the pool should log activity. If function is specified,
  *   that will be used instead. The function expects the arguments msg, loglevel
+ *
+ * Lifecycle events are emitted with a single payload object, holding the
+ * current `size`, `available`, `using` and `waiting` counters plus:
+ *  - `create`: `resource`, `duration` spent in `factory.create`
+ *  - `createError`: `error`, `duration` spent in `factory.create`, `attempt`.
+ *    The failed resource still counts in `size`, as it may be retried
+ *  - `createTimeout`: `duration` after which `factory.create` was abandoned
+ *  - `circuitOpen`: `failures` consecutive create failures
+ *  - `circuitClose`
+ *  - `hostDown`: `host` name, `failures` consecutive failures
+ *  - `hostUp`: `host` name
+ *  - `acquire`: `resource`, `duration` the caller waited for it
+ *  - `release`: `resource`, `duration` it was held by the caller, `error`
+ *    it was released with and whether it was found `broken` by it
+ *  - `destroy`: `resource`, `duration` since it was created
+ *  - `destroyError`: `resource`, `error` thrown, rejected or timed out
+ *    by `factory.destroy`
+ *  - `validateFail`: `resource`, `error` if validation or an idle check rejected
+ *  - `resetError`: `resource`, `error` thrown, rejected or timed out
+ *    by `factory.reset`
+ *  - `acquireTimeout`: `duration` the caller waited before timing out
+ *  - `queueFull`: `duration` the rejected caller waited, 0 for the incoming one,
+ *    and its quota `key`
+ *  - `drain`: `duration` the drain took, and the report `drain()` resolves with
+ *  - `leak`: `resource`, `duration` it has been held, `stack` of the acquire
+ *
+ * @fires Pool#create
+ * @fires Pool#createError
+ * @fires Pool#createTimeout
+ * @fires Pool#circuitOpen
+ * @fires Pool#circuitClose
+ * @fires Pool#hostDown
+ * @fires Pool#hostUp
+ * @fires Pool#acquire
+ * @fires Pool#release
+ * @fires Pool#destroy
+ * @fires Pool#destroyError
+ * @fires Pool#validateFail
+ * @fires Pool#resetError
+ * @fires Pool#acquireTimeout
+ * @fires Pool#queueFull
+ * @fires Pool#drain
+ * @fires Pool#leak
  */
-class Pool {
+class Pool extends EventEmitter {
   constructor(factory) {
-    if (!factory.create) {
+    super();
+
+    if (factory.hosts !== undefined) {
+      checkHosts(factory.hosts);
+    } else if (!factory.create) {
       throw new Error("create function is required");
     }
 
@@ -54,46 +310,142 @@ class Pool {
       throw new Error("validate function is required");
     }
 
+    if (factory.resetOnRelease && !factory.reset) {
+      throw new Error("reset function is required for resetOnRelease");
+    }
+
+    checkBounds(factory.min, factory.max);
+
     if (
-      typeof factory.min !== "number" ||
-      factory.min < 0 ||
-      factory.min !== Math.round(factory.min)
+      factory.dispenseOrder !== undefined &&
+      DISPENSE_ORDERS.indexOf(factory.dispenseOrder) < 0
     ) {
-      throw new Error("min must be an integer >= 0");
+      throw new Error(
+        `dispenseOrder must be one of ${DISPENSE_ORDERS.join(", ")}`
+      );
     }
 
     if (
-      typeof factory.max !== "number" ||
-      factory.max <= 0 ||
-      factory.max !== Math.round(factory.max)
+      factory.priorityRange !== undefined &&
+      !(Number.isInteger(factory.priorityRange) && factory.priorityRange >= 1)
     ) {
-      throw new Error("max must be an integer > 0");
+      throw new Error("priorityRange must be an integer >= 1");
     }
 
-    if (factory.min > factory.max) {
-      throw new Error("max is smaller than min");
+    if (
+      factory.queueFullPolicy !== undefined &&
+      QUEUE_FULL_POLICIES.indexOf(factory.queueFullPolicy) < 0
+    ) {
+      throw new Error(
+        `queueFullPolicy must be one of ${QUEUE_FULL_POLICIES.join(", ")}`
+      );
     }
 
     // defaults
     factory.idleTimeoutMillis = factory.idleTimeoutMillis || 30000;
     factory.acquireTimeoutMillis = factory.acquireTimeoutMillis || 30000;
+    factory.createTimeoutMillis = factory.createTimeoutMillis || 0;
+    factory.validateTimeoutMillis = factory.validateTimeoutMillis || 5000;
+    factory.destroyTimeoutMillis = factory.destroyTimeoutMillis || 5000;
     factory.reapInterval = factory.reapIntervalMillis || 1000;
+    factory.testOnIdleIntervalMillis = factory.testOnIdleIntervalMillis || 0;
+    factory.dispenseOrder = factory.dispenseOrder || "fifo";
+    factory.maxWaitingClients = factory.maxWaitingClients || 0;
+    factory.queueFullPolicy = factory.queueFullPolicy || "newest";
+    factory.priorityRange = factory.priorityRange || 1;
+    factory.priorityAgingMillis = factory.priorityAgingMillis || 0;
+    factory.leakDetectionThresholdMillis =
+      factory.leakDetectionThresholdMillis || 0;
+    factory.createRetries = factory.createRetries || 0;
+    factory.createRetryDelayMillis = factory.createRetryDelayMillis || 100;
+    factory.createRetryMaxDelayMillis =
+      factory.createRetryMaxDelayMillis || 10000;
+    factory.circuitBreakerThreshold = factory.circuitBreakerThreshold || 0;
+    factory.circuitBreakerResetMillis =
+      factory.circuitBreakerResetMillis || 10000;
+    factory.hostFailureThreshold = factory.hostFailureThreshold || 3;
+    factory.hostRetryMillis = factory.hostRetryMillis || 10000;
+    factory.maxLifetimeMillis = factory.maxLifetimeMillis || 0;
+    factory.maxLifetimeJitterMillis = factory.maxLifetimeJitterMillis || 0;
+    factory.maxUses = factory.maxUses || 0;
     factory.max = parseInt(factory.max, 10);
     factory.min = parseInt(factory.min, 10);
     factory.log = factory.log || false;
 
     this._factory = factory;
     this._count = 0;
+    this._nextResourceId = 1;
     this._draining = false;
+    this._drainPromise = null;
+    this._drainCheck = null;
+    this._drainCheckScheduled = false;
 
     // queues
-    this._pendingAcquires = [];
+    this._pendingAcquires = new PriorityQueue(
+      factory.priorityRange,
+      factory.priorityAgingMillis
+    );
     this._inUseObjects = [];
     this._availableObjects = [];
+    // available items taken out for an idle check, see _testIdle()
+    this._testingObjects = new Set();
+    // released items being reset or validated, see _recycle()
+    this._recyclingObjects = new Set();
+
+    // resource -> bookkeeping record, see _createResource()
+    this._resourceInfo = new Map();
+
+    // resource -> tags, see setTags()
+    this._tags = new WeakMap();
+    // resources going through factory.reset
+    this._resettingObjects = new Set();
+
+    // { startedAt, promise } of the pending factory.create calls
+    this._pendingCreates = new Set();
+
+    // settling factory.destroy call -> { info, startedAt }
+    this._pendingDestroys = new Map();
+
+    // quota key -> number of resources in use acquired with it
+    this._keyUsage = new Map();
+    // resource in use -> quota key it was acquired with
+    this._resourceKeys = new Map();
+    // acquires taken off the queue, waiting for a validation or reset
+    this._servingAcquires = new Set();
+
+    this._metrics = new Metrics(factory.acquireWaitBuckets);
+    this._breaker = new CircuitBreaker(
+      factory.circuitBreakerThreshold,
+      factory.circuitBreakerResetMillis
+    );
+    this._hostSet = factory.hosts
+      ? new HostSet(
+          factory.hosts,
+          factory.hostFailureThreshold,
+          factory.hostRetryMillis
+        )
+      : null;
+    // resource -> host it was created on
+    this._resourceHosts = new WeakMap();
 
     // timing controls
     this._removeIdleTimer = null;
     this._removeIdleScheduled = false;
+    // probes down hosts when no create needs them, see _probeHosts()
+    this._probeTimer = null;
+    if (this._hostSet) {
+      this._probeTimer = setInterval(
+        () => this._probeHosts(),
+        factory.hostRetryMillis
+      );
+      this._probeTimer.unref();
+    }
+
+    // creates started by ready(), see _warmUp()
+    this._warmupPromise = null;
+    if (factory.warmup) {
+      this._warmUp();
+    }
   }
 
   get size() {
@@ -139,34 +491,226 @@ class Pool {
   }
 
   /**
-   * Checks and removes the available (idle) clients that have timed out.
+   * Serializable snapshot of the pool, to debug it: the state of every
+   * resource and of every pending acquire request.
+   *
+   * Resources are listed with an `id` unique within the pool, their `tags`,
+   * the `host` they were created on with `factory.hosts`, and a `state`:
+   * "creating", "idle", "in-use", "validating", "resetting" or "destroying".
+   * Times are milliseconds since the epoch, `startedAt` being the start of a
+   * pending create or destroy and `idleDeadline` the time an idle resource
+   * may be destroyed at. With `factory.hosts`, `hosts` lists their `state`:
+   * "up", "down" or "probing". `keys` holds, for every quota key configured
+   * or in use, the number of resources `inUse` and of `waiting` requests
+   * along with its limits.
+   *
+   * @returns {Object}
+   */
+  inspect() {
+    const now = Date.now();
+    const resources = [];
+    const describe = (state, info, fields) =>
+      Object.assign(
+        {
+          id: info ? info.id : null,
+          state,
+          createdAt: info ? info.createdAt : null,
+          lastAcquiredAt: info ? info.acquiredAt : null,
+          lastReleasedAt: info ? info.releasedAt : null,
+          useCount: info ? info.useCount : 0,
+          tags: {},
+          host: null,
+          startedAt: null,
+          idleDeadline: null
+        },
+        fields
+      );
+
+    this._pendingCreates.forEach(pending => {
+      resources.push(
+        describe("creating", null, { startedAt: pending.startedAt })
+      );
+    });
+
+    const idle = new Map();
+    this._availableObjects.forEach(resourceWithTimeout => {
+      idle.set(resourceWithTimeout.resource, resourceWithTimeout.timeout);
+    });
+
+    this._resourceInfo.forEach((info, resource) => {
+      let state = "validating";
+      if (idle.has(resource)) {
+        state = "idle";
+      } else if (this._inUseObjects.indexOf(resource) >= 0) {
+        state = "in-use";
+      } else if (this._resettingObjects.has(resource)) {
+        state = "resetting";
+      }
+
+      resources.push(
+        describe(state, info, {
+          tags: this.getTags(resource),
+          host: this._resourceHosts.has(resource)
+            ? this._resourceHosts.get(resource).name
+            : null,
+          idleDeadline: idle.has(resource) ? idle.get(resource) : null
+        })
+      );
+    });
+
+    this._pendingDestroys.forEach(pending => {
+      resources.push(
+        describe("destroying", pending.info, { startedAt: pending.startedAt })
+      );
+    });
+
+    const pendingAcquires = this._pendingAcquires.toArray();
+    const keys = {};
+    const describeKey = key => {
+      if (key === null || keys[key]) return;
+
+      const quota = this._quotaFor(key);
+      keys[key] = {
+        inUse: this._keyInUse(key),
+        waiting: pendingAcquires.filter(deferred => deferred.key === key)
+          .length,
+        maxInUse: quota.maxInUse,
+        maxWaiting: quota.maxWaiting
+      };
+    };
+
+    Object.keys(this._factory.quotas || {}).forEach(describeKey);
+    this._keyUsage.forEach((count, key) => describeKey(key));
+    pendingAcquires.forEach(deferred => describeKey(deferred.key));
+
+    return Object.assign(
+      { name: this.name, min: this.minSize, max: this.maxSize },
+      this._counters(),
+      {
+        draining: this._draining,
+        hosts: this._hostSet ? this._hostSet.describe() : [],
+        keys,
+        resources,
+        pendingAcquires: pendingAcquires.map(deferred => ({
+          priority: deferred.priority,
+          key: deferred.key,
+          age: now - deferred.createdAt
+        }))
+      }
+    );
+  }
+
+  /**
+   * Collected pool metrics: current counters, their high-water marks,
+   * resource churn, failures and the acquire wait-time histogram.
+   *
+   * Use `toPrometheus(pool.metrics())` to render them for scraping.
+   *
+   * @returns {Object}
+   */
+  metrics() {
+    return this._metrics.snapshot(
+      Object.assign({ name: this.name }, this._counters())
+    );
+  }
+
+  /**
+   * @private
+   * @returns {Object} current `size`, `available`, `using` and `waiting`
+   */
+  _counters() {
+    return {
+      size: this.size,
+      available: this.available,
+      using: this.using,
+      waiting: this.waiting
+    };
+  }
+
+  /**
+   * Emits `event` with `data`, extended with the current pool counters.
+   *
+   * Every event payload carries `size`, `available`, `using` and `waiting`,
+   * as observed right after the state change that triggered the event.
+   * @private
+   * @param {string} event
+   * @param {Object} data
+   */
+  _emitEvent(event, data) {
+    const payload = Object.assign(this._counters(), data);
+
+    this._metrics.record(event, payload);
+    this.emit(event, payload);
+  }
+
+  /**
+   * Whether `resource` outlived `maxLifetimeMillis` or `maxUses`,
+   * and must not be reused.
+   * @private
+   * @param {Object} resource
+   * @returns {Boolean}
+   */
+  _isRetired(resource) {
+    const info = this._resourceInfo.get(resource);
+    if (!info) return false;
+
+    return (
+      (info.expiresAt !== null && Date.now() >= info.expiresAt) ||
+      (this._factory.maxUses > 0 && info.useCount >= this._factory.maxUses)
+    );
+  }
+
+  /**
+   * Checks and removes the available (idle) clients that have timed out,
+   * or are retired, and starts idle checks of the others when
+   * `testOnIdleIntervalMillis` is set.
    * @private
    */
   _removeIdle() {
     const toRemove = [];
+    const toTest = [];
     const now = Date.now();
     let i;
     let available = this._availableObjects.length;
-    const maxRemovable = this._count - this._factory.min;
+    let maxRemovable = this._count - this._factory.min;
     let timeout;
 
     this._removeIdleScheduled = false;
 
     // Go through the available (idle) items,
     // check if they have timed out
-    for (i = 0; i < available && maxRemovable > toRemove.length; i++) {
+    for (i = 0; i < available; i++) {
+      if (this._isRetired(this._availableObjects[i].resource)) {
+        // Retired clients are removed regardless of min, _ensureMinimum
+        // replaces them.
+        this._log("removeIdle() destroying retired obj", "verbose");
+        toRemove.push(this._availableObjects[i].resource);
+        continue;
+      }
+
       timeout = this._availableObjects[i].timeout;
-      if (now >= timeout) {
+      if (maxRemovable > 0 && now >= timeout) {
+        maxRemovable--;
         // Client timed out, so destroy it.
         this._log(
           "removeIdle() destroying obj - now:" + now + " timeout:" + timeout,
           "verbose"
         );
         toRemove.push(this._availableObjects[i].resource);
+        continue;
+      }
+
+      if (
+        this._factory.testOnIdleIntervalMillis > 0 &&
+        now - this._availableObjects[i].testedAt >=
+          this._factory.testOnIdleIntervalMillis
+      ) {
+        toTest.push(this._availableObjects[i]);
       }
     }
 
     toRemove.forEach(this.destroy, this);
+    toTest.forEach(this._testIdle, this);
 
     // NOTE: we are re-calculating this value because it may have changed
     // after destroying items above
@@ -181,6 +725,89 @@ class Pool {
     }
   }
 
+  /**
+   * Check an idle item with `factory.keepalive`, or `factory.validate`.
+   *
+   * The item is taken out of the available list meanwhile. If it is dead
+   * it is destroyed and replaced, otherwise it is put back, keeping its
+   * idle timeout.
+   *
+   * @private
+   * @param {Object} resourceWithTimeout available list entry
+   */
+  _testIdle(resourceWithTimeout) {
+    const resource = resourceWithTimeout.resource;
+    const keepalive = this._factory.keepalive;
+
+    this._availableObjects.splice(
+      this._availableObjects.indexOf(resourceWithTimeout),
+      1
+    );
+    this._testingObjects.add(resource);
+
+    const dead = error => {
+      this._testingObjects.delete(resource);
+      if (resource.destroyed_at) return;
+
+      this._log(
+        `removeIdle() - idle check failed, destroying obj - ${
+          error ? error.message : "resource is invalid"
+        }`,
+        "verbose"
+      );
+      this._reportInvalid(resource, error);
+
+      const count = this._count;
+      this.destroy(resource);
+
+      // destroy() only replaces items below min
+      if (
+        !this._draining &&
+        this._count < count &&
+        this._count < this._factory.max
+      ) {
+        this._createResource();
+      }
+      this._dispense();
+    };
+
+    withTimeout(
+      new Promise(resolve =>
+        resolve(
+          keepalive ? keepalive(resource) : this._factory.validate(resource)
+        )
+      ),
+      this._factory.validateTimeoutMillis,
+      "Idle check timeout"
+    ).then(valid => {
+      if (!keepalive && !valid) {
+        return dead();
+      }
+
+      this._testingObjects.delete(resource);
+      if (resource.destroyed_at) return;
+
+      if (this._count > this._factory.max) {
+        this.destroy(resource);
+        return;
+      }
+
+      // back in release order, the idle check did not make it any warmer
+      resourceWithTimeout.testedAt = Date.now();
+      const index = this._availableObjects.findIndex(
+        other => other.timeout > resourceWithTimeout.timeout
+      );
+      this._availableObjects.splice(
+        index === -1 ? this._availableObjects.length : index,
+        0,
+        resourceWithTimeout
+      );
+      this._dispense();
+      this._scheduleRemoveIdle();
+      this._scheduleDrainCheck();
+    }, dead);
+  }
+
   /**
    * Schedule removal of idle items in the pool.
    *
@@ -198,12 +825,16 @@ class Pool {
   /**
    * Try to get a new client to work, and clean up pool unused (idle) items.
    *
-   *  - If there are available clients waiting, shift the first one out (LIFO),
-   *    and call its callback.
+   *  - If there are available clients waiting, take one out (according to
+   *    `factory.dispenseOrder`), and hand it to the highest priority waiting client.
    *  - If there are no waiting clients, try to create one if it won't exceed
    *    the maximum number of clients.
    *  - If creating a new client would exceed the maximum, add the client to
    *    the wait list.
+   *
+   * When `factory.validate` returns a Promise, the reused client and the first
+   * waiting client are both taken off their queues until validation settles,
+   * so the client cannot be handed out twice in the meantime.
    * @private
    */
   _dispense() {
@@ -223,153 +854,1298 @@ class Pool {
 
     while (this._availableObjects.length > 0) {
       this._log("dispense() - reusing obj", "verbose");
-      resourceWithTimeout = this._availableObjects[0];
-      if (!this._factory.validate(resourceWithTimeout.resource)) {
+      const deferred = this._nextAcquire();
+      if (!deferred) {
+        // every waiting client is at the maxInUse of its key
+        return;
+      }
+      resourceWithTimeout = this._takeAvailableObject(deferred.match);
+
+      if (this._isRetired(resourceWithTimeout.resource)) {
+        this._log("dispense() - destroying retired obj", "verbose");
+        this.destroy(resourceWithTimeout.resource);
+        continue;
+      }
+
+      let valid;
+      try {
+        valid = this._factory.validate(resourceWithTimeout.resource);
+      } catch (error) {
+        this._reportInvalid(resourceWithTimeout.resource, error);
         this.destroy(resourceWithTimeout.resource);
         continue;
       }
 
-      this._availableObjects.shift();
-      this._inUseObjects.push(resourceWithTimeout.resource);
+      if (valid && typeof valid.then === "function") {
+        this._takeAcquire(deferred);
+        return this._validateAsync(
+          resourceWithTimeout.resource,
+          deferred,
+          valid
+        );
+      }
+
+      if (!valid) {
+        this._reportInvalid(resourceWithTimeout.resource);
+        this.destroy(resourceWithTimeout.resource);
+        continue;
+      }
 
-      const deferred = this._pendingAcquires.shift();
-      return deferred.resolve(resourceWithTimeout.resource);
+      this._takeAcquire(deferred);
+      return this._handOver(deferred, resourceWithTimeout.resource);
     }
 
-    if (this._count < this._factory.max) {
+    // resources being created will be handed to waiting clients as well
+    if (
+      this._count < this._factory.max &&
+      this._servableAcquires() > this._pendingCreates.size
+    ) {
       this._createResource();
     }
   }
 
   /**
+   * Quota applying to the requests made with `key`.
    * @private
+   * @param {String} key
+   * @returns {Object} `{ maxInUse, maxWaiting }`, 0 meaning no limit
    */
-  _createResource() {
-    this._count += 1;
-    this._log(
-      `createResource() - creating obj - count=${this._count} min=${
-        this._factory.min
-      } max=${this._factory.max}`,
-      "verbose"
-    );
+  _quotaFor(key) {
+    const quotas = this._factory.quotas;
+    const quota =
+      quotas && Object.prototype.hasOwnProperty.call(quotas, key)
+        ? quotas[key]
+        : this._factory.defaultQuota;
+
+    return {
+      maxInUse: (quota && quota.maxInUse) || 0,
+      maxWaiting: (quota && quota.maxWaiting) || 0
+    };
+  }
 
-    this._factory
-      .create()
-      .then(resource => {
-        const deferred = this._pendingAcquires.shift();
+  /**
+   * Number of resources in use under `key`, including the ones being
+   * validated or reset for a request made with it.
+   * @private
+   * @param {String} key
+   * @returns {Number}
+   */
+  _keyInUse(key) {
+    let count = this._keyUsage.get(key) || 0;
+
+    this._servingAcquires.forEach(deferred => {
+      if (deferred.settled) {
+        // timed out or aborted meanwhile, its resource goes back to the pool
+        this._servingAcquires.delete(deferred);
+      } else if (deferred.key === key) {
+        count++;
+      }
+    });
 
-        this._inUseObjects.push(resource);
+    return count;
+  }
 
-        if (deferred) {
-          deferred.resolve(resource);
-        } else {
-          this._addResourceToAvailableObjects(resource);
-        }
-      })
-      .catch(error => {
-        const deferred = this._pendingAcquires.shift();
+  /**
+   * Whether handing a resource to `deferred` keeps its key within `maxInUse`.
+   * @private
+   * @param {Deferred} deferred
+   * @returns {Boolean}
+   */
+  _withinQuota(deferred) {
+    if (deferred.key === null) {
+      return true;
+    }
 
-        this._count -= 1;
-        if (this._count < 0) this._count = 0;
-        if (deferred) {
-          deferred.reject(error);
-        }
-        process.nextTick(() => {
-          this._dispense();
-        });
-      });
+    const maxInUse = this._quotaFor(deferred.key).maxInUse;
+    return !maxInUse || this._keyInUse(deferred.key) < maxInUse;
   }
 
-  _addResourceToAvailableObjects(resource) {
-    const resourceWithTimeout = {
-      resource: resource,
-      timeout: Date.now() + this._factory.idleTimeoutMillis
-    };
+  /**
+   * Next waiting client to serve, skipping the ones whose key is at its
+   * `maxInUse`.
+   * @private
+   * @returns {Deferred|undefined}
+   */
+  _nextAcquire() {
+    if (!this._factory.quotas && !this._factory.defaultQuota) {
+      return this._pendingAcquires.peek();
+    }
 
-    this._availableObjects.push(resourceWithTimeout);
-    this._dispense();
-    this._scheduleRemoveIdle();
+    return this._pendingAcquires.peek(deferred => this._withinQuota(deferred));
   }
 
   /**
+   * Number of waiting clients that can be served before their key reaches
+   * its `maxInUse`, i.e. that new resources could be handed to.
    * @private
+   * @returns {Number}
    */
-  _ensureMinimum() {
-    let i, diff;
-    if (!this._draining && this._count < this._factory.min) {
-      diff = this._factory.min - this._count;
-      for (i = 0; i < diff; i++) {
-        this._createResource();
+  _servableAcquires() {
+    if (!this._factory.quotas && !this._factory.defaultQuota) {
+      return this._pendingAcquires.length;
+    }
+
+    const room = new Map();
+    return this._pendingAcquires.toArray().filter(deferred => {
+      const key = deferred.key;
+      const maxInUse = key === null ? 0 : this._quotaFor(key).maxInUse;
+
+      if (!maxInUse) {
+        return true;
+      }
+      if (!room.has(key)) {
+        room.set(key, maxInUse - this._keyInUse(key));
       }
+      room.set(key, room.get(key) - 1);
+      return room.get(key) >= 0;
+    }).length;
+  }
+
+  /**
+   * Take `deferred` off the waiting list to hand it a resource, counting it
+   * against its key meanwhile.
+   * @private
+   * @param {Deferred} deferred
+   */
+  _takeAcquire(deferred) {
+    this._pendingAcquires.remove(deferred);
+    this._servingAcquires.add(deferred);
+  }
+
+  /**
+   * Put `deferred` back in front of the waiting list after the resource it
+   * was to be handed failed, unless it has been settled meanwhile.
+   * @private
+   * @param {Deferred} deferred
+   */
+  _requeueAcquire(deferred) {
+    this._servingAcquires.delete(deferred);
+
+    if (!deferred.settled) {
+      this._pendingAcquires.unshift(deferred);
     }
   }
 
   /**
-   * Requests a new resource. This will call factory.create to request new resource.
-   *
-   * It will be rejected with timeout error if `factory.create` didn't respond
-   * back within specified `acquireTimeoutMillis`
-   *
-   * @returns {Promise<Object>}
+   * Stop counting `resource` against the key it was acquired with.
+   * @private
+   * @param {Object} resource
+   * @returns {Boolean} Whether it was acquired with a key
    */
-  acquire() {
-    if (this._draining) {
-      return Promise.reject(
-        new Error("pool is draining and cannot accept work")
-      );
+  _releaseKey(resource) {
+    if (!this._resourceKeys.has(resource)) {
+      return false;
     }
 
-    const deferred = new Deferred();
-    deferred.registerTimeout(this._factory.acquireTimeoutMillis, () => {
-      // timeout triggered, promise will be rejected
-      // remove this object from pending list
-      this._pendingAcquires = this._pendingAcquires.filter(
-        pending => pending !== deferred
-      );
-    });
+    const key = this._resourceKeys.get(resource);
+    const count = this._keyUsage.get(key) - 1;
 
-    this._pendingAcquires.push(deferred);
-    this._dispense();
+    this._resourceKeys.delete(resource);
+    if (count > 0) {
+      this._keyUsage.set(key, count);
+    } else {
+      this._keyUsage.delete(key);
+    }
 
-    return deferred.promise();
+    return true;
   }
 
   /**
-   * Return the resource to the pool, in case it is no longer required.
-   *
-   * @param {Object} resource The acquired object to be put back to the pool.
+   * Remove the next item to reuse from the available items, among the
+   * ones tagged with `match` if there are any.
    *
-   * @returns {void}
+   * Items are appended when released, so the first one has been
+   * idle the longest.
+   * @private
+   * @param {Object} [match] tags to look for
+   * @returns {Object} resource with timeout
    */
-  release(resource) {
-    // check to see if this object has already been released
-    // (i.e., is back in the pool of this._availableObjects)
-    if (
-      this._availableObjects.some(
-        resourceWithTimeout => resourceWithTimeout.resource === resource
-      )
-    ) {
-      this._log(
-        "release called twice for the same resource: " + new Error().stack,
-        "error"
-      );
-      return;
+  _takeAvailableObject(match) {
+    let matching = null;
+    let position = 0;
+
+    if (match) {
+      matching = [];
+      this._availableObjects.forEach((resourceWithTimeout, index) => {
+        if (this._matchesTags(resourceWithTimeout.resource, match)) {
+          matching.push(index);
+        }
+      });
+      if (matching.length === 0) matching = null;
     }
 
-    // check to see if this object exists in the `in use` list and remove it
-    const index = this._inUseObjects.indexOf(resource);
-    if (index < 0) {
-      this._log(
+    const count = matching ? matching.length : this._availableObjects.length;
+
+    switch (this._factory.dispenseOrder) {
+      case "lifo":
+        position = count - 1;
+        break;
+      case "random":
+        position = Math.floor(Math.random() * count);
+        break;
+    }
+
+    const index = matching ? matching[position] : position;
+    return this._availableObjects.splice(index, 1)[0];
+  }
+
+  /**
+   * Whether `resource` is tagged with every tag of `match`.
+   * @private
+   * @param {Object} resource
+   * @param {Object} match
+   * @returns {Boolean}
+   */
+  _matchesTags(resource, match) {
+    const tags = this._tags.get(resource) || {};
+    return Object.keys(match).every(key => tags[key] === match[key]);
+  }
+
+  /**
+   * Hand `resource` over to `deferred`, going through `factory.reset`
+   * first if it is not tagged as requested.
+   *
+   * If the reset fails, or the resource is destroyed meanwhile, `deferred`
+   * goes back to the front of the waiting list. If `deferred` has been
+   * settled meanwhile the resource is returned to the pool instead.
+   *
+   * @private
+   * @param {Deferred} deferred
+   * @param {Object} resource
+   */
+  _handOver(deferred, resource) {
+    const match = deferred.match;
+
+    if (!match || !this._factory.reset || this._matchesTags(resource, match)) {
+      return this._resolveAcquire(deferred, resource);
+    }
+
+    this._resetResource(resource, match).then(
+      () => {
+        if (resource.destroyed_at) {
+          // destroyed meanwhile, e.g. by a forced drain
+          this._requeueAcquire(deferred);
+          return this._dispense();
+        }
+
+        if (deferred.settled) {
+          this._servingAcquires.delete(deferred);
+          return this._addResourceToAvailableObjects(resource);
+        }
+
+        this._resolveAcquire(deferred, resource);
+      },
+      () => {
+        if (!resource.destroyed_at) this.destroy(resource);
+        this._requeueAcquire(deferred);
+        this._dispense();
+      }
+    );
+  }
+
+  /**
+   * Run `factory.reset` on `resource`, adding `tags` to its tags once done.
+   *
+   * @private
+   * @param {Object} resource
+   * @param {Object} tags
+   * @returns {Promise} Rejects if the reset failed, after reporting it
+   */
+  _resetResource(resource, tags) {
+    this._resettingObjects.add(resource);
+
+    return withTimeout(
+      new Promise(resolve => resolve(this._factory.reset(resource, tags))),
+      this._factory.validateTimeoutMillis,
+      "Reset timeout"
+    ).then(
+      () => {
+        this._resettingObjects.delete(resource);
+        this.setTags(resource, Object.assign({}, this.getTags(resource), tags));
+      },
+      error => {
+        this._resettingObjects.delete(resource);
+        this._log(`reset failed, destroying obj - ${error.message}`, "verbose");
+        this._emitEvent("resetError", { resource, error });
+        throw error;
+      }
+    );
+  }
+
+  /**
+   * Wait for an asynchronous `factory.validate` result before handing
+   * `resource` to `deferred`.
+   *
+   * If validation fails, rejects or times out the resource is destroyed
+   * and `deferred` goes back to the front of the waiting list. If `deferred`
+   * has been settled meanwhile (e.g. timed out) the resource is returned to
+   * the pool instead.
+   *
+   * @private
+   * @param {Object} resource
+   * @param {Deferred} deferred
+   * @param {Promise<Boolean>} validation
+   */
+  _validateAsync(resource, deferred, validation) {
+    const invalidate = error => {
+      if (resource.destroyed_at) {
+        // destroyed meanwhile, e.g. by a forced drain
+        this._requeueAcquire(deferred);
+        return this._dispense();
+      }
+
+      this._log(
+        `dispense() - validation failed, destroying obj - ${
+          error ? error.message : "resource is invalid"
+        }`,
+        "verbose"
+      );
+      this._reportInvalid(resource, error);
+      this.destroy(resource);
+      this._requeueAcquire(deferred);
+      this._dispense();
+    };
+
+    withTimeout(
+      validation,
+      this._factory.validateTimeoutMillis,
+      "Validation timeout"
+    ).then(valid => {
+      if (!valid || resource.destroyed_at) {
+        return invalidate();
+      }
+
+      if (deferred.settled) {
+        this._servingAcquires.delete(deferred);
+        return this._addResourceToAvailableObjects(resource);
+      }
+
+      this._handOver(deferred, resource);
+    }, invalidate);
+  }
+
+  /**
+   * Hand `resource` over to the waiting `deferred`, marking it as in use.
+   * @private
+   * @param {Deferred} deferred
+   * @param {Object} resource
+   */
+  _resolveAcquire(deferred, resource) {
+    const now = Date.now();
+
+    const info = this._resourceInfo.get(resource);
+
+    this._servingAcquires.delete(deferred);
+    if (deferred.key !== null) {
+      this._resourceKeys.set(resource, deferred.key);
+      this._keyUsage.set(
+        deferred.key,
+        (this._keyUsage.get(deferred.key) || 0) + 1
+      );
+    }
+
+    this._inUseObjects.push(resource);
+    info.useCount++;
+    info.acquiredAt = now;
+    info.acquireStack = deferred.stack;
+
+    if (this._factory.leakDetectionThresholdMillis) {
+      info.leakTimer = setTimeout(() => {
+        info.leakTimer = null;
+        this._reportLeak(resource, info);
+      }, this._factory.leakDetectionThresholdMillis);
+    }
+
+    this._emitEvent("acquire", {
+      resource,
+      duration: now - deferred.createdAt
+    });
+
+    deferred.resolve(resource);
+  }
+
+  /**
+   * Report `resource` as not released within `leakDetectionThresholdMillis`,
+   * destroying it when `reclaimLeakedResources` is set.
+   * @private
+   * @param {Object} resource
+   * @param {Object} info
+   */
+  _reportLeak(resource, info) {
+    const duration = Date.now() - info.acquiredAt;
+
+    this._log(
+      `resource held for ${duration}ms without being released, acquired at: ${
+        info.acquireStack
+      }`,
+      "warn"
+    );
+    this._emitEvent("leak", { resource, duration, stack: info.acquireStack });
+
+    if (this._factory.reclaimLeakedResources) {
+      this._log("reclaiming leaked resource", "warn");
+      this.destroy(resource);
+      this._dispense();
+    }
+  }
+
+  /**
+   * @private
+   * @param {Object} info
+   */
+  _clearLeakTimer(info) {
+    if (info && info.leakTimer) {
+      clearTimeout(info.leakTimer);
+      info.leakTimer = null;
+    }
+  }
+
+  /**
+   * Start creating a resource, handed to the next waiting client or added
+   * to the available list.
+   *
+   * @private
+   * @returns {Promise<Error|undefined>} settling with the error if the
+   *   create failed. It never rejects.
+   */
+  _createResource() {
+    if (!this._breaker.tryCreate()) {
+      this._log("createResource() - circuit is open, not creating", "verbose");
+      return Promise.resolve(new PoolUnavailableError("pool is unavailable"));
+    }
+
+    const pending = { startedAt: Date.now() };
+
+    this._count += 1;
+    this._pendingCreates.add(pending);
+    this._log(
+      `createResource() - creating obj - count=${this._count} min=${
+        this._factory.min
+      } max=${this._factory.max}`,
+      "verbose"
+    );
+
+    pending.promise = this._createWithRetry(1)
+      .then(resource => {
+        this._pendingCreates.delete(pending);
+        const closed = this._recordCreateSuccess();
+        const deferred = this._nextAcquire();
+        if (deferred) {
+          this._takeAcquire(deferred);
+        }
+
+        const createdAt = Date.now();
+        const lifetime = this._factory.maxLifetimeMillis
+          ? this._factory.maxLifetimeMillis -
+            Math.random() * this._factory.maxLifetimeJitterMillis
+          : null;
+
+        this._resourceInfo.set(resource, {
+          id: this._nextResourceId++,
+          createdAt,
+          expiresAt: lifetime === null ? null : createdAt + lifetime,
+          useCount: 0,
+          acquiredAt: null,
+          releasedAt: null,
+          acquireStack: null,
+          leakTimer: null
+        });
+        this._emitEvent("create", {
+          resource,
+          duration: createdAt - pending.startedAt
+        });
+
+        if (deferred) {
+          this._handOver(deferred, resource);
+        } else {
+          this._addResourceToAvailableObjects(resource);
+        }
+
+        if (closed) {
+          // the other clients waited through the open circuit without a create
+          this._createForWaiting();
+        }
+      })
+      .catch(error => {
+        this._pendingCreates.delete(pending);
+        const deferred = this._nextAcquire();
+
+        this._count -= 1;
+        if (this._count < 0) this._count = 0;
+        if (deferred) {
+          this._pendingAcquires.remove(deferred);
+          deferred.reject(error);
+        }
+        if (this._breaker.state === "open") {
+          // no create will happen until the circuit closes, fail fast the
+          // waiting clients spare resources cannot serve
+          this._rejectPendingAcquires(
+            new PoolUnavailableError("pool is unavailable"),
+            this._spareResources()
+          );
+        }
+        process.nextTick(() => {
+          this._dispense();
+        });
+        this._scheduleDrainCheck();
+
+        return error;
+      });
+
+    return pending.promise;
+  }
+
+  /**
+   * Call `factory.create`, retrying failed attempts up to `createRetries`
+   * times with exponential backoff, as long as the circuit stays closed.
+   * @private
+   * @param {Number} attempt
+   * @returns {Promise<Object>}
+   */
+  _createWithRetry(attempt) {
+    const startedAt = Date.now();
+
+    return this._callCreate().catch(error => {
+      this._emitEvent("createError", {
+        error,
+        duration: Date.now() - startedAt,
+        attempt
+      });
+      this._recordCreateFailure();
+
+      if (
+        attempt > this._factory.createRetries ||
+        this._breaker.state !== "closed" ||
+        this._draining
+      ) {
+        throw error;
+      }
+
+      const backoff = Math.min(
+        this._factory.createRetryMaxDelayMillis,
+        this._factory.createRetryDelayMillis * Math.pow(2, attempt - 1)
+      );
+      const retryDelay = backoff / 2 + (Math.random() * backoff) / 2;
+
+      this._log(
+        `createResource() - attempt ${attempt} failed, retrying in ${Math.round(
+          retryDelay
+        )}ms - ${error.message}`,
+        "warn"
+      );
+
+      return new Promise(resolve => setTimeout(resolve, retryDelay)).then(() =>
+        this._createWithRetry(attempt + 1)
+      );
+    });
+  }
+
+  /**
+   * Call `factory.create`, or the `create` function of the next host.
+   * @private
+   * @returns {Promise<Object>}
+   */
+  _callCreate() {
+    return this._hostSet
+      ? this._createOnHost()
+      : this._withCreateTimeout(this._factory.create());
+  }
+
+  /**
+   * Give up waiting for `created` after `createTimeoutMillis`.
+   *
+   * A resource created after the timeout is not added to the pool,
+   * but destroyed right away.
+   * @private
+   * @param {Promise<Object>} created
+   * @param {Number} [timeoutMillis] Overrides `createTimeoutMillis`
+   * @returns {Promise<Object>}
+   */
+  _withCreateTimeout(created, timeoutMillis) {
+    timeoutMillis = timeoutMillis || this._factory.createTimeoutMillis;
+
+    if (!timeoutMillis) {
+      return created;
+    }
+
+    return new Promise((resolve, reject) => {
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        this._log(
+          `createResource() - abandoning create after ${timeoutMillis}ms`,
+          "warn"
+        );
+        this._emitEvent("createTimeout", { duration: timeoutMillis });
+        reject(new TimeoutError("Create timeout"));
+      }, timeoutMillis);
+
+      created.then(
+        resource => {
+          if (!timedOut) {
+            clearTimeout(timer);
+            return resolve(resource);
+          }
+
+          this._log(
+            "createResource() - destroying obj created after timeout",
+            "verbose"
+          );
+          this._destroyResource(resource);
+        },
+        error => {
+          if (!timedOut) {
+            clearTimeout(timer);
+            reject(error);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Call the `create` function of the next host, keeping track of its health.
+   *
+   * A create timing out counts as a failure of the host. If the host was
+   * down and only probed, the create moves on to the hosts that are up.
+   * Probes time out after `hostRetryMillis` without a `createTimeoutMillis`,
+   * so a hung one does not keep the host from being probed again.
+   * @private
+   * @returns {Promise<Object>}
+   */
+  _createOnHost() {
+    const host = this._hostSet.pick();
+
+    if (!host) {
+      return Promise.reject(new PoolUnavailableError("no host is available"));
+    }
+
+    const probe = host.probing;
+
+    return this._withCreateTimeout(
+      new Promise(resolve => resolve(host.create())),
+      probe
+        ? this._factory.createTimeoutMillis || this._factory.hostRetryMillis
+        : 0
+    ).then(
+      resource => {
+        this._resourceHosts.set(resource, host);
+        if (this._hostSet.success(host)) {
+          this._log(`host ${host.name} is up again`, "info");
+          this._emitEvent("hostUp", { host: host.name });
+        }
+        return resource;
+      },
+      error => {
+        this._recordHostFailure(host);
+
+        if (probe && this._hostSet.anyUp()) {
+          this._log(
+            `probe of host ${host.name} failed, creating on another host`,
+            "verbose"
+          );
+          return this._createOnHost();
+        }
+        throw error;
+      }
+    );
+  }
+
+  /**
+   * Create a resource to probe a down host whose retry delay has passed,
+   * when no create would otherwise reach it.
+   * @private
+   */
+  _probeHosts() {
+    if (
+      this._draining ||
+      this._count >= this._factory.max ||
+      !this._hostSet.probeDue()
+    ) {
+      return;
+    }
+
+    this._log("probing down hosts", "verbose");
+    this._createResource();
+  }
+
+  /**
+   * @private
+   * @param {Object} host
+   */
+  _recordHostFailure(host) {
+    if (this._hostSet.failure(host)) {
+      this._log(
+        `host ${host.name} marked down after ${host.failures} failures`,
+        "error"
+      );
+      this._emitEvent("hostDown", { host: host.name, failures: host.failures });
+    }
+  }
+
+  /**
+   * Report `resource` as failing validation, counting it against the host
+   * it was created on.
+   * @private
+   * @param {Object} resource
+   * @param {Error} [error]
+   */
+  _reportInvalid(resource, error) {
+    this._emitEvent("validateFail", { resource, error });
+
+    const host = this._resourceHosts.get(resource);
+    if (host) {
+      this._recordHostFailure(host);
+    }
+  }
+
+  /**
+   * @private
+   * @returns {Boolean} Whether the circuit was closed by this success
+   */
+  _recordCreateSuccess() {
+    if (!this._breaker.success()) {
+      return false;
+    }
+
+    this._log("circuit closed, factory.create succeeded again", "info");
+    this._emitEvent("circuitClose", {});
+    return true;
+  }
+
+  /**
+   * Start as many creates as waiting clients can use, up to `max`.
+   * @private
+   */
+  _createForWaiting() {
+    const slots = Math.min(
+      this._factory.max - this._count,
+      this._servableAcquires() - this._pendingCreates.size
+    );
+
+    for (let i = 0; i < slots; i++) {
+      this._dispense();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _recordCreateFailure() {
+    if (this._breaker.failure()) {
+      this._log(
+        `circuit opened after ${
+          this._breaker.failures
+        } consecutive create failures`,
+        "error"
+      );
+      this._emitEvent("circuitOpen", { failures: this._breaker.failures });
+    }
+  }
+
+  /**
+   * Reject pending acquires with `error`, except the first `keep` ones to
+   * be served.
+   * @private
+   * @param {Error} error
+   * @param {Number} [keep=0]
+   * @returns {Number} Number of rejected acquires
+   */
+  _rejectPendingAcquires(error, keep) {
+    const kept = [];
+    let rejected = 0;
+    let deferred;
+
+    while ((deferred = this._pendingAcquires.shift())) {
+      if (kept.length < (keep || 0)) {
+        kept.push(deferred);
+        continue;
+      }
+
+      deferred.reject(error);
+      rejected++;
+    }
+
+    // shifted in serving order, so each priority level keeps its order
+    kept.forEach(deferred => this._pendingAcquires.push(deferred));
+
+    this._scheduleDrainCheck();
+    return rejected;
+  }
+
+  /**
+   * Number of resources that can serve waiting clients without a create:
+   * the available ones, and the ones about to be made available again
+   * after an idle check or a recycle.
+   * @private
+   * @returns {Number}
+   */
+  _spareResources() {
+    return (
+      this._availableObjects.length +
+      this._testingObjects.size +
+      this._recyclingObjects.size
+    );
+  }
+
+  _addResourceToAvailableObjects(resource) {
+    if (this._count > this._factory.max) {
+      this._log("destroying obj above max", "verbose");
+      this.destroy(resource);
+      this._dispense();
+      return;
+    }
+
+    const now = Date.now();
+    const resourceWithTimeout = {
+      resource: resource,
+      timeout: now + this._factory.idleTimeoutMillis,
+      testedAt: now
+    };
+
+    this._availableObjects.push(resourceWithTimeout);
+    this._dispense();
+    this._scheduleRemoveIdle();
+    this._scheduleDrainCheck();
+  }
+
+  /**
+   * Let a pending `drain()` re-check whether the pool has settled.
+   *
+   * Deferred to the next tick, so the check never runs in the middle of
+   * another operation and repeated calls are coalesced.
+   * @private
+   */
+  _scheduleDrainCheck() {
+    if (!this._drainCheck || this._drainCheckScheduled) {
+      return;
+    }
+
+    this._drainCheckScheduled = true;
+    process.nextTick(() => {
+      this._drainCheckScheduled = false;
+      if (this._drainCheck) {
+        this._drainCheck();
+      }
+    });
+  }
+
+  /**
+   * @private
+   * @returns {Promise<Error|undefined>[]} the creates started
+   */
+  _ensureMinimum() {
+    const creates = [];
+    let i, diff;
+    if (!this._draining && this._count < this._factory.min) {
+      diff = this._factory.min - this._count;
+      for (i = 0; i < diff; i++) {
+        creates.push(this._createResource());
+      }
+    }
+    return creates;
+  }
+
+  /**
+   * Wait until `min` resources have been created, counting the creates
+   * already pending and starting the missing ones.
+   * @private
+   * @returns {Promise<Error[]>} errors of the failed creates
+   */
+  _fillMinimum() {
+    if (
+      this._draining ||
+      this._count - this._pendingCreates.size >= this._factory.min
+    ) {
+      return Promise.resolve([]);
+    }
+
+    // creates refused by the circuit breaker are not pending
+    const creates = new Set(this._ensureMinimum());
+    this._pendingCreates.forEach(pending => creates.add(pending.promise));
+
+    return Promise.all(Array.from(creates)).then(results => {
+      const errors = results.filter(Boolean);
+      // resources may have been destroyed meanwhile
+      return errors.length ? errors : this._fillMinimum();
+    });
+  }
+
+  /**
+   * Create resources up to `min`, once it succeeded.
+   * @private
+   * @returns {Promise<Error[]>} errors of the failed creates
+   */
+  _warmUp() {
+    if (!this._warmupPromise) {
+      this._log("warming up", "verbose");
+      this._warmupPromise = this._fillMinimum().then(errors => {
+        if (errors.length) {
+          // let the next ready() try again
+          this._warmupPromise = null;
+        }
+        return errors;
+      });
+    }
+    return this._warmupPromise;
+  }
+
+  /**
+   * Resolves once `min` resources have been created, starting their
+   * creation if the pool was not constructed with `warmup`. Resources
+   * already being created are waited for.
+   *
+   * Rejects if any of them could not be created, with an error holding
+   * the create errors as `errors`. Calling it again then retries.
+   *
+   * @returns {Promise<void>}
+   */
+  ready() {
+    return this._warmUp().then(errors => {
+      if (errors.length) {
+        const error = new Error(
+          `pool warmup failed, ${
+            errors.length
+          } resource(s) could not be created`
+        );
+        error.errors = errors;
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Change the pool bounds at runtime. Omitted bounds are kept.
+   *
+   * Growing `min` creates resources right away, growing `max` lets waiting
+   * clients get new resources. When `max` shrinks, surplus available
+   * resources are destroyed, and surplus resources in use are destroyed
+   * when released.
+   *
+   * @param {Object} [options]
+   * @param {Number} [options.min]
+   * @param {Number} [options.max]
+   */
+  resize(options) {
+    options = options || {};
+
+    const min = options.min === undefined ? this._factory.min : options.min;
+    const max = options.max === undefined ? this._factory.max : options.max;
+
+    checkBounds(min, max);
+
+    this._log(`resize() - min=${min} max=${max}`, "info");
+    this._factory.min = min;
+    this._factory.max = max;
+
+    // oldest released first, the others are more likely to be reused
+    while (this._count > max && this._availableObjects.length > 0) {
+      this.destroy(this._availableObjects[0].resource);
+    }
+
+    this._ensureMinimum();
+    this._createForWaiting();
+  }
+
+  /**
+   * Requests a new resource. This will call factory.create to request new resource.
+   *
+   * It will be rejected with timeout error if `factory.create` didn't respond
+   * back within specified `acquireTimeoutMillis`. The error carries the
+   * applied `timeoutMillis` and the `elapsedMillis` since the call.
+   *
+   * When `factory.maxWaitingClients` requests are already pending, it is
+   * rejected with a `QueueFullError`, or the oldest pending request is,
+   * according to `factory.queueFullPolicy`. Requests made with a `key` are
+   * also held to the quota of that key, see `factory.quotas`.
+   *
+   * @param {Object} [options]
+   * @param {Number} [options.priority=0]
+   *   Priority level, from 0 (served first) to `factory.priorityRange - 1`.
+   *   Values out of range are treated as the lowest priority.
+   * @param {AbortSignal} [options.signal]
+   *   Rejects the request with an `AbortError` when aborted before a resource
+   *   was handed out. A resource arriving afterwards stays in the pool.
+   * @param {Number} [options.timeoutMillis=factory.acquireTimeoutMillis]
+   *   Overrides `factory.acquireTimeoutMillis` for this call.
+   * @param {Object} [options.match]
+   *   Tags to look for among idle resources. Without a match any resource is
+   *   handed out, reconfigured by `factory.reset` if there is one.
+   * @param {String} [options.key]
+   *   Tenant or subsystem the request is made for, counting against its
+   *   quota.
+   *
+   * @returns {Promise<Object>}
+   */
+  acquire(options) {
+    options = options || {};
+
+    if (this._draining) {
+      return Promise.reject(
+        new DrainError("pool is draining and cannot accept work")
+      );
+    }
+
+    if (
+      this._breaker.state === "open" &&
+      this._pendingAcquires.length >= this._spareResources()
+    ) {
+      // it would need a create, which cannot happen until the circuit closes
+      return Promise.reject(new PoolUnavailableError("pool is unavailable"));
+    }
+
+    const signal = options.signal;
+    if (signal && signal.aborted) {
+      return Promise.reject(new AbortError("Operation aborted"));
+    }
+
+    const key = options.key === undefined ? null : options.key;
+    const maxWaiting = key === null ? 0 : this._quotaFor(key).maxWaiting;
+
+    if (
+      maxWaiting > 0 &&
+      this._pendingAcquires.toArray().filter(deferred => deferred.key === key)
+        .length >= maxWaiting
+    ) {
+      this._emitEvent("queueFull", { duration: 0, key });
+      return Promise.reject(
+        new QueueFullError(`waiting queue of ${key} is full`)
+      );
+    }
+
+    if (
+      this._factory.maxWaitingClients > 0 &&
+      this._pendingAcquires.length >= this._factory.maxWaitingClients
+    ) {
+      const error = new QueueFullError("pool waiting queue is full");
+
+      if (this._factory.queueFullPolicy === "newest") {
+        this._emitEvent("queueFull", { duration: 0, key });
+        return Promise.reject(error);
+      }
+
+      // shed the oldest request, it is the most likely to be given up on
+      const oldest = this._pendingAcquires.shiftOldest();
+      oldest.reject(error);
+      this._emitEvent("queueFull", {
+        duration: Date.now() - oldest.createdAt,
+        key: oldest.key
+      });
+    }
+
+    let priority = (options.priority && +options.priority | 0) || 0;
+    if (priority < 0 || priority >= this._factory.priorityRange) {
+      priority = this._factory.priorityRange - 1;
+    }
+
+    const deferred = new Deferred({
+      priority,
+      match: options.match,
+      key,
+      stack: this._factory.leakDetectionThresholdMillis
+        ? new Error("acquire() call site").stack
+        : null
+    });
+    const timeoutMillis =
+      options.timeoutMillis || this._factory.acquireTimeoutMillis;
+
+    deferred.registerTimeout(timeoutMillis, () => {
+      // timeout triggered, promise will be rejected
+      // remove this object from pending list
+      this._pendingAcquires.remove(deferred);
+      this._emitEvent("acquireTimeout", {
+        duration: Date.now() - deferred.createdAt
+      });
+      this._scheduleDrainCheck();
+    });
+
+    if (signal) {
+      const onAbort = () => {
+        if (deferred.settled) return;
+
+        this._log("acquire() aborted", "verbose");
+        this._pendingAcquires.remove(deferred);
+        deferred.reject(new AbortError("Operation aborted"));
+        this._scheduleDrainCheck();
+      };
+      const cleanup = () => signal.removeEventListener("abort", onAbort);
+
+      signal.addEventListener("abort", onAbort);
+      deferred.promise().then(cleanup, cleanup);
+    }
+
+    this._pendingAcquires.push(deferred);
+    this._metrics.sample(this._counters());
+    this._dispense();
+
+    return deferred.promise();
+  }
+
+  /**
+   * Tag `resource`, e.g. with the session settings it was configured with,
+   * replacing its previous tags. Can be called by `factory.create` before
+   * resolving.
+   *
+   * @param {Object} resource
+   * @param {Object} tags
+   */
+  setTags(resource, tags) {
+    this._tags.set(resource, Object.assign({}, tags));
+  }
+
+  /**
+   * @param {Object} resource
+   * @returns {Object} Tags of `resource`
+   */
+  getTags(resource) {
+    return Object.assign({}, this._tags.get(resource));
+  }
+
+  /**
+   * Return the resource to the pool, in case it is no longer required.
+   *
+   * When released with the error the caller ran into, the resource is
+   * destroyed instead if `factory.isResourceBroken` deems it broken.
+   *
+   * @param {Object} resource The acquired object to be put back to the pool.
+   * @param {Error} [error] Error the caller ran into using the resource.
+   *
+   * @returns {void}
+   */
+  release(resource, error) {
+    // check to see if this object has already been released
+    // (i.e., is back in the pool of this._availableObjects)
+    if (
+      this._availableObjects.some(
+        resourceWithTimeout => resourceWithTimeout.resource === resource
+      )
+    ) {
+      this._log(
+        "release called twice for the same resource: " + new Error().stack,
+        "error"
+      );
+      return;
+    }
+
+    // check to see if this object exists in the `in use` list and remove it
+    const index = this._inUseObjects.indexOf(resource);
+    if (index < 0) {
+      this._log(
         "attempt to release an invalid resource: " + new Error().stack,
         "error"
       );
       return;
     }
 
+    const info = this._resourceInfo.get(resource);
+
     this._inUseObjects.splice(index, 1);
+    this._releaseKey(resource);
+    this._clearLeakTimer(info);
+
+    let broken = false;
+    if (error && this._factory.isResourceBroken) {
+      try {
+        broken = Boolean(this._factory.isResourceBroken(error, resource));
+      } catch (classifyError) {
+        this._log(
+          `release() - isResourceBroken threw, destroying resource - ${
+            classifyError.message
+          }`,
+          "error"
+        );
+        broken = true;
+      }
+    }
+
+    info.releasedAt = Date.now();
+    this._emitEvent("release", {
+      resource,
+      duration: info.releasedAt - info.acquiredAt,
+      error: error || null,
+      broken
+    });
+
+    if (broken) {
+      this._log(
+        `release() - destroying broken resource - ${error.message}`,
+        "verbose"
+      );
+      this.destroy(resource);
+      this._dispense();
+      return;
+    }
+
+    if (this._isRetired(resource)) {
+      this._log("release() - destroying retired resource", "verbose");
+      this.destroy(resource);
+      this._dispense();
+      return;
+    }
+
+    if (this._factory.resetOnRelease || this._factory.validateOnRelease) {
+      return this._recycle(resource);
+    }
+
     this._addResourceToAvailableObjects(resource);
   }
 
+  /**
+   * Reset and/or validate a released resource, according to
+   * `resetOnRelease` and `validateOnRelease`, before making it available
+   * again. It is destroyed if either fails.
+   *
+   * @private
+   * @param {Object} resource
+   */
+  _recycle(resource) {
+    const factory = this._factory;
+    const discard = () => {
+      this._recyclingObjects.delete(resource);
+      if (resource.destroyed_at) return;
+      this._log("release() - destroying obj failing recycle", "verbose");
+      this.destroy(resource);
+      this._dispense();
+    };
+
+    this._recyclingObjects.add(resource);
+
+    const reset = factory.resetOnRelease
+      ? this._resetResource(resource, this.getTags(resource))
+      : Promise.resolve();
+
+    reset
+      .then(() => {
+        if (!factory.validateOnRelease) {
+          return true;
+        }
+
+        return withTimeout(
+          new Promise(resolve => resolve(factory.validate(resource))),
+          factory.validateTimeoutMillis,
+          "Validation timeout"
+        ).then(
+          valid => {
+            if (!valid) this._reportInvalid(resource);
+            return valid;
+          },
+          error => {
+            this._reportInvalid(resource, error);
+            return false;
+          }
+        );
+      })
+      .then(valid => {
+        if (!valid) {
+          return discard();
+        }
+
+        this._recyclingObjects.delete(resource);
+        if (resource.destroyed_at) return;
+        this._addResourceToAvailableObjects(resource);
+      }, discard);
+  }
+
   /**
    * Request the client to be destroyed. The factory's destroy handler
    * will also be called.
@@ -378,18 +2154,16 @@ class Pool {
    *
    * @param {Object} resource The acquired item to be destroyed.
    *
-   * @returns {void}
+   * @returns {Promise} Resolves once the factory's destroy handler has settled.
+   *   Failures are reported through the `destroyError` event, not rejections.
    */
   destroy(resource) {
     if (resource.destroyed_at) {
-      this._log(
-          "Calling destroy on an already destroyed resource",
-          "error"
-      );
-      return;
+      this._log("Calling destroy on an already destroyed resource", "error");
+      return Promise.resolve();
     }
-    resource.destroyed_at = new Date()
-    
+    resource.destroyed_at = new Date();
+
     this._count -= 1;
     if (this._count < 0) this._count = 0;
 
@@ -399,45 +2173,208 @@ class Pool {
     this._inUseObjects = this._inUseObjects.filter(
       object => object !== resource
     );
+    const freed = this._releaseKey(resource);
+
+    const info = this._resourceInfo.get(resource);
+    this._resourceInfo.delete(resource);
+    this._clearLeakTimer(info);
+    this._emitEvent("destroy", {
+      resource,
+      duration: info ? Date.now() - info.createdAt : 0
+    });
 
-    this._factory.destroy(resource);
+    const destroyed = this._destroyResource(resource, info);
     this._ensureMinimum();
+    if (freed) {
+      // requests waiting for the quota of its key can be served
+      this._dispense();
+    }
+    this._scheduleDrainCheck();
+
+    return destroyed;
+  }
+
+  /**
+   * Call the factory's destroy handler, waiting up to `destroyTimeoutMillis`
+   * for the Promise it may return.
+   * @private
+   * @param {Object} resource
+   * @param {Object} [info] bookkeeping record of `resource`, for inspect()
+   * @returns {Promise} Always resolves, once the handler has settled
+   */
+  _destroyResource(resource, info) {
+    const destroyed = withTimeout(
+      new Promise(resolve => resolve(this._factory.destroy(resource))),
+      this._factory.destroyTimeoutMillis,
+      "Destroy timeout"
+    )
+      .catch(error => {
+        this._log(`destroy() failed - ${error.message}`, "error");
+        this._emitEvent("destroyError", { resource, error });
+      })
+      .then(() => {
+        this._pendingDestroys.delete(destroyed);
+      });
+
+    this._pendingDestroys.set(destroyed, {
+      info: info || null,
+      startedAt: Date.now()
+    });
+    return destroyed;
+  }
+
+  /**
+   * @private
+   * @returns {Promise} Resolves once no destroy handler is pending anymore
+   */
+  _settleDestroys() {
+    if (this._pendingDestroys.size === 0) {
+      return Promise.resolve();
+    }
+
+    return Promise.all(Array.from(this._pendingDestroys.keys())).then(() =>
+      this._settleDestroys()
+    );
+  }
+
+  /**
+   * Acquire a resource, run `fn` with it and give the resource back once
+   * `fn` is done.
+   *
+   * The resource is released when `fn` succeeds, or fails with an error
+   * not matched by `factory.isFatalError`, along with that error (see
+   * `release()`). Otherwise it is destroyed, so a broken resource never goes
+   * back to the pool. Either way the Promise rejects with the error of `fn`.
+   *
+   * @param {Function} fn Called with the resource, may return a Promise
+   * @param {Object} [options] Same as for `acquire()`
+   *
+   * @returns {Promise} Settles with the outcome of `fn`
+   */
+  use(fn, options) {
+    return this.acquire(options).then(resource =>
+      new Promise(resolve => resolve(fn(resource))).then(
+        result => {
+          this.release(resource);
+          return result;
+        },
+        error => {
+          let fatal = false;
+          if (this._factory.isFatalError) {
+            try {
+              fatal = Boolean(this._factory.isFatalError(error, resource));
+            } catch (classifyError) {
+              this._log(
+                `use() - isFatalError threw, destroying resource - ${
+                  classifyError.message
+                }`,
+                "error"
+              );
+              fatal = true;
+            }
+          }
+
+          if (fatal) {
+            this.destroy(resource);
+            this._dispense();
+          } else {
+            this.release(resource, error);
+          }
+
+          throw error;
+        }
+      )
+    );
   }
 
   /**
-   * Disallow any new requests and let the request backlog dissipate.
+   * Disallow any new requests and wait for the resources in use.
    *
-   * @returns {Promise}
+   * Pending acquires, including the ones whose resource is still being
+   * validated or reset, are rejected with a `DrainError`. The returned
+   * Promise resolves once every resource has been released and every
+   * destroy handler has settled. With `timeoutMillis`, it resolves at that
+   * deadline at the latest, and with `force` every resource, in use or not,
+   * is then destroyed.
+   *
+   * Calling `drain()` again returns the Promise of the first call.
+   *
+   * @param {Object} [options]
+   * @param {Number} [options.timeoutMillis] Deadline for the drain, none by default
+   * @param {Boolean} [options.force=false] Destroy all resources at the deadline
+   *
+   * @returns {Promise<Object>} Resolves with a report:
+   *   `timedOut` whether the deadline was reached,
+   *   `inUse` resources still in use at the deadline,
+   *   `rejected` number of pending acquires rejected
    */
-  drain() {
+  drain(options) {
+    if (this._drainPromise) {
+      return this._drainPromise;
+    }
+
+    options = options || {};
     this._log("draining", "info");
+    const startedAt = Date.now();
 
     // disable the ability to put more work on the queue.
     this._draining = true;
-
-    const check = callback => {
-      // wait until all client requests have been satisfied.
-      if (this._pendingAcquires.length > 0) {
-        // pool is draining so we wont accept new acquires but
-        // we need to clear pending acquires
-        this._dispense();
-        return setTimeout(() => {
-          check(callback);
-        }, 100);
+    clearInterval(this._probeTimer);
+
+    const error = new DrainError("pool is draining and cannot accept work");
+    let rejected = this._rejectPendingAcquires(error);
+    this._servingAcquires.forEach(deferred => {
+      if (!deferred.settled) {
+        deferred.reject(error);
+        rejected++;
       }
+    });
+    this._servingAcquires.clear();
+
+    this._drainPromise = new Promise(resolve => {
+      let timer = null;
+
+      const finish = report => {
+        clearTimeout(timer);
+        this._drainCheck = null;
+
+        this._settleDestroys().then(() => {
+          this._emitEvent(
+            "drain",
+            Object.assign({ duration: Date.now() - startedAt }, report)
+          );
+          resolve(report);
+        });
+      };
 
-      // wait until in use object have been released.
-      if (this._availableObjects.length !== this._count) {
-        return setTimeout(() => {
-          check(callback);
-        }, 100);
+      this._drainCheck = () => {
+        // wait until in use object have been released.
+        if (this._availableObjects.length !== this._count) {
+          return;
+        }
+
+        finish({ timedOut: false, inUse: [], rejected });
+      };
+
+      if (options.timeoutMillis) {
+        timer = setTimeout(() => {
+          this._drainCheck = null;
+          this._log("drain timed out", "warn");
+
+          const inUse = this._inUseObjects.slice();
+          if (options.force) {
+            inUse.forEach(this.destroy, this);
+            this.destroyAllNow();
+          }
+
+          finish({ timedOut: true, inUse, rejected });
+        }, options.timeoutMillis);
       }
 
-      callback();
-    };
+      this._drainCheck();
+    });
 
-    // No error handling needed here.
-    return new Promise(resolve => check(resolve));
+    return this._drainPromise;
   }
 
   /**
@@ -450,38 +2387,37 @@ class Pool {
    * specified factory.min value.  If this is not desired, set factory.min
    * to zero before calling destroyAllNow()
    *
-   * @returns {Promise}
+   * Resources being validated, reset or recycled are destroyed as well,
+   * only the ones in use are left alone.
+   *
+   * @returns {Promise} Resolves once every pending destroy handler has settled
    */
   destroyAllNow() {
     this._log("force destroying all objects", "info");
 
-    const willDie = this._availableObjects;
+    const willDie = [];
+    this._resourceInfo.forEach((info, resource) => {
+      if (this._inUseObjects.indexOf(resource) === -1) {
+        willDie.push(resource);
+      }
+    });
     this._availableObjects = [];
-    const todo = willDie.length;
 
     this._removeIdleScheduled = false;
     clearTimeout(this._removeIdleTimer);
 
-    return new Promise(resolve => {
-      if (todo === 0) {
-        return resolve();
-      }
-
-      let resource;
-      let done = 0;
+    willDie.forEach(this.destroy, this);
 
-      while ((resource = willDie.shift())) {
-        this.destroy(resource.resource);
-        ++done;
-
-        if (done === todo && resolve) {
-          return resolve();
-        }
-      }
-    });
+    return this._settleDestroys();
   }
 }
 
 exports.Pool = Pool;
 exports.default = Pool;
-exports.TimeoutError = require("./TimeoutError").TimeoutError;
+exports.TimeoutError = TimeoutError;
+exports.AbortError = AbortError;
+exports.DrainError = DrainError;
+exports.PoolUnavailableError = PoolUnavailableError;
+exports.QueueFullError = QueueFullError;
+exports.PoolCluster = PoolCluster;
+exports.toPrometheus = toPrometheus;
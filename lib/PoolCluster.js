@@ -0,0 +1,313 @@
+"use strict";
+
+const EventEmitter = require("events");
+const { PoolUnavailableError } = require("./PoolUnavailableError");
+
+const ROLES = ["read", "write"];
+const BALANCING = ["round-robin", "least-busy"];
+
+/**
+ * Group of named pools, e.g. a primary and its replicas, routing acquire
+ * requests by role.
+ *
+ * Writes go to "write" members. Reads go to "read" members, or to "write"
+ * members when there is none available. Among several members of a role,
+ * requests are balanced either in turn ("round-robin") or to the member with
+ * the fewest resources in use and waiting clients ("least-busy").
+ *
+ * A member whose `factory.create` keeps failing is ejected: it gets no
+ * requests until `ejectMillis` have passed.
+ *
+ * @class
+ * @param {Object} [options]
+ * @param {String} [options.balancing="round-robin"]
+ *   How requests are spread among members of a role: "round-robin" or
+ *   "least-busy".
+ * @param {Number} [options.ejectAfterFailures=0]
+ *   Number of consecutive create failures after which a member is ejected.
+ *   0 disables ejection.
+ * @param {Number} [options.ejectMillis=30000]
+ *   Delay in milliseconds during which an ejected member gets no requests.
+ * @param {Boolean|Function} [options.log=false]
+ *   Same as the `log` option of `Pool`.
+ *
+ * Events are emitted with a single payload object:
+ *  - `eject`: `name` of the member, `failures` consecutive create failures
+ *  - `restore`: `name` of the member, taking requests again
+ *
+ * @fires PoolCluster#eject
+ * @fires PoolCluster#restore
+ */
+class PoolCluster extends EventEmitter {
+  constructor(options) {
+    super();
+
+    options = options || {};
+
+    if (
+      options.balancing !== undefined &&
+      BALANCING.indexOf(options.balancing) < 0
+    ) {
+      throw new Error(`balancing must be one of ${BALANCING.join(", ")}`);
+    }
+
+    this._balancing = options.balancing || "round-robin";
+    this._ejectAfterFailures = options.ejectAfterFailures || 0;
+    this._ejectMillis = options.ejectMillis || 30000;
+    this._logger = options.log || false;
+
+    // name -> { name, pool, role, failures, ejectedUntil }
+    this._members = new Map();
+    // role -> index of the next round-robin member
+    this._turns = { read: 0, write: 0 };
+    // acquired resource -> pool it belongs to
+    this._owners = new WeakMap();
+  }
+
+  /**
+   * logs to console or user defined log function
+   * @private
+   * @param {string} message
+   * @param {string} level
+   */
+  _log(message, level) {
+    if (typeof this._logger === "function") {
+      this._logger(message, level);
+    } else if (this._logger) {
+      console.log(`${level.toUpperCase()} pool cluster - ${message}`);
+    }
+  }
+
+  /**
+   * Add a member pool.
+   *
+   * @param {String} name Unique name of the member
+   * @param {Pool} pool
+   * @param {Object} [options]
+   * @param {String} [options.role="write"] "read" or "write"
+   * @returns {PoolCluster} this cluster
+   */
+  add(name, pool, options) {
+    const role = (options && options.role) || "write";
+
+    if (ROLES.indexOf(role) < 0) {
+      throw new Error(`role must be one of ${ROLES.join(", ")}`);
+    }
+
+    if (this._members.has(name)) {
+      throw new Error(`pool ${name} is already part of the cluster`);
+    }
+
+    const member = { name, pool, role, failures: 0, ejectedUntil: 0 };
+
+    pool.on("create", () => (member.failures = 0));
+    pool.on("createError", () => this._recordFailure(member));
+
+    this._members.set(name, member);
+    return this;
+  }
+
+  /**
+   * @param {String} name
+   * @returns {Pool|undefined} Member pool called `name`
+   */
+  getPool(name) {
+    const member = this._members.get(name);
+    return member ? member.pool : undefined;
+  }
+
+  /**
+   * @private
+   * @param {Object} member
+   */
+  _recordFailure(member) {
+    member.failures++;
+
+    if (
+      this._ejectAfterFailures > 0 &&
+      member.failures >= this._ejectAfterFailures &&
+      !member.ejectedUntil
+    ) {
+      member.ejectedUntil = Date.now() + this._ejectMillis;
+      this._log(
+        `ejecting ${member.name} after ${member.failures} create failures`,
+        "warn"
+      );
+      this.emit("eject", { name: member.name, failures: member.failures });
+    }
+  }
+
+  /**
+   * Members of `role` taking requests, restoring those whose ejection is over.
+   * @private
+   * @param {String} role
+   * @returns {Object[]}
+   */
+  _candidates(role) {
+    const now = Date.now();
+    const members = [];
+
+    this._members.forEach(member => {
+      if (member.role !== role) return;
+
+      if (member.ejectedUntil && now >= member.ejectedUntil) {
+        member.ejectedUntil = 0;
+        member.failures = 0;
+        this._log(`restoring ${member.name}`, "info");
+        this.emit("restore", { name: member.name });
+      }
+
+      if (!member.ejectedUntil) {
+        members.push(member);
+      }
+    });
+
+    return members;
+  }
+
+  /**
+   * Pick the member pool serving a request for `options.role`.
+   * @private
+   * @param {Object} [options]
+   * @returns {Promise<Pool>}
+   */
+  _route(options) {
+    const role = (options && options.role) || "write";
+
+    if (ROLES.indexOf(role) < 0) {
+      return Promise.reject(
+        new Error(`role must be one of ${ROLES.join(", ")}`)
+      );
+    }
+
+    let members = this._candidates(role);
+    if (members.length === 0 && role === "read") {
+      members = this._candidates("write");
+    }
+
+    if (members.length === 0) {
+      return Promise.reject(
+        new PoolUnavailableError(`no pool is available for ${role}`)
+      );
+    }
+
+    let member;
+    if (this._balancing === "least-busy") {
+      const load = candidate => candidate.pool.using + candidate.pool.waiting;
+      member = members.reduce((best, candidate) =>
+        load(candidate) < load(best) ? candidate : best
+      );
+    } else {
+      member = members[this._turns[role]++ % members.length];
+    }
+
+    return Promise.resolve(member.pool);
+  }
+
+  /**
+   * Acquire a resource from a member pool of `options.role`.
+   *
+   * Rejects with a `PoolUnavailableError` when no member can take it.
+   *
+   * @param {Object} [options] Same as for `Pool#acquire()`, plus:
+   * @param {String} [options.role="write"] "read" or "write"
+   * @returns {Promise<Object>}
+   */
+  acquire(options) {
+    return this._route(options).then(pool =>
+      pool.acquire(options).then(resource => {
+        this._owners.set(resource, pool);
+        return resource;
+      })
+    );
+  }
+
+  /**
+   * Return `resource` to the pool it was acquired from.
+   *
+   * @param {Object} resource
+   * @param {Error} [error] Same as for `Pool#release()`
+   * @returns {void}
+   */
+  release(resource, error) {
+    const pool = this._owners.get(resource);
+
+    if (!pool) {
+      this._log(
+        "attempt to release an unknown resource: " + new Error().stack,
+        "error"
+      );
+      return;
+    }
+
+    this._owners.delete(resource);
+    pool.release(resource, error);
+  }
+
+  /**
+   * Destroy `resource` through the pool it was acquired from.
+   *
+   * @param {Object} resource
+   * @returns {Promise} Same as `Pool#destroy()`
+   */
+  destroy(resource) {
+    const pool = this._owners.get(resource);
+
+    if (!pool) {
+      this._log(
+        "attempt to destroy an unknown resource: " + new Error().stack,
+        "error"
+      );
+      return Promise.resolve();
+    }
+
+    this._owners.delete(resource);
+    return pool.destroy(resource);
+  }
+
+  /**
+   * Run `fn` with a resource of a member pool of `options.role`, as
+   * `Pool#use()` does.
+   *
+   * @param {Function} fn
+   * @param {Object} [options] Same as for `acquire()`
+   * @returns {Promise}
+   */
+  use(fn, options) {
+    return this._route(options).then(pool => pool.use(fn, options));
+  }
+
+  /**
+   * Drain every member pool.
+   *
+   * @param {Object} [options] Same as for `Pool#drain()`
+   * @returns {Promise<Object>} Drain reports, by member name
+   */
+  drain(options) {
+    const names = Array.from(this._members.keys());
+
+    return Promise.all(
+      names.map(name => this._members.get(name).pool.drain(options))
+    ).then(reports =>
+      reports.reduce((byName, report, i) => {
+        byName[names[i]] = report;
+        return byName;
+      }, {})
+    );
+  }
+
+  /**
+   * Destroy all resources of every member pool, see `Pool#destroyAllNow()`.
+   *
+   * @returns {Promise}
+   */
+  destroyAllNow() {
+    const pools = Array.from(this._members.values()).map(member => member.pool);
+
+    return Promise.all(pools.map(pool => pool.destroyAllNow())).then(
+      () => undefined
+    );
+  }
+}
+
+exports.PoolCluster = PoolCluster;
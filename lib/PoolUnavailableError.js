@@ -0,0 +1,5 @@
+"use strict";
+
+class PoolUnavailableError extends Error {}
+
+exports.PoolUnavailableError = PoolUnavailableError;
@@ -0,0 +1,166 @@
+"use strict";
+
+/**
+ * Queue of pending acquires, ordered by priority and then by age.
+ *
+ * Items must expose a numeric `priority` (0 being the highest) and a
+ * `createdAt` timestamp. When `agingMillis` is set, an item is promoted by one
+ * priority level for every `agingMillis` it has been waiting, so low priority
+ * items cannot be starved by a constant stream of high priority ones.
+ *
+ * @private
+ * @class
+ * @param {Number} size Number of priority levels
+ * @param {Number} [agingMillis=0] Wait time per level of promotion, 0 disables aging
+ */
+class PriorityQueue {
+  constructor(size, agingMillis) {
+    this._agingMillis = agingMillis || 0;
+    this._slots = [];
+
+    for (let i = 0; i < size; i++) {
+      this._slots.push([]);
+    }
+  }
+
+  get length() {
+    return this._slots.reduce((total, slot) => total + slot.length, 0);
+  }
+
+  /**
+   * Priority level `item` would be served at, after aging.
+   *
+   * @private
+   * @param {Object} item
+   * @param {Number} now
+   * @returns {Number}
+   */
+  _effectivePriority(item, now) {
+    if (!this._agingMillis) {
+      return item.priority;
+    }
+
+    const promotion = Math.floor((now - item.createdAt) / this._agingMillis);
+    return Math.max(0, item.priority - promotion);
+  }
+
+  /**
+   * Next item to serve among those `accept` returns true for, or undefined.
+   *
+   * Only the first accepted item of each slot needs checking, as it is the
+   * oldest and therefore the most promoted item of that slot.
+   * @private
+   * @param {Function} [accept] Filter, all items are accepted without one
+   * @returns {Object|undefined}
+   */
+  _next(accept) {
+    const now = Date.now();
+    let best;
+    let bestPriority;
+
+    for (let i = 0; i < this._slots.length; i++) {
+      const head = accept ? this._slots[i].find(accept) : this._slots[i][0];
+      if (!head) continue;
+
+      const priority = this._effectivePriority(head, now);
+      if (
+        !best ||
+        priority < bestPriority ||
+        (priority === bestPriority && head.createdAt < best.createdAt)
+      ) {
+        best = head;
+        bestPriority = priority;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Append `item` to the end of its priority level.
+   *
+   * @param {Object} item
+   */
+  push(item) {
+    this._slots[item.priority].push(item);
+  }
+
+  /**
+   * Put `item` back in front of its priority level.
+   *
+   * @param {Object} item
+   */
+  unshift(item) {
+    this._slots[item.priority].unshift(item);
+  }
+
+  /**
+   * Return the next item to serve, without removing it.
+   *
+   * @param {Function} [accept] Only consider items it returns true for
+   * @returns {Object|undefined}
+   */
+  peek(accept) {
+    return this._next(accept);
+  }
+
+  /**
+   * Remove and return the next item to serve.
+   *
+   * @returns {Object|undefined}
+   */
+  shift() {
+    const item = this._next();
+    return item ? this._slots[item.priority].shift() : undefined;
+  }
+
+  /**
+   * Remove and return the item waiting the longest, regardless of priority.
+   * Of items queued at the same time, the lowest priority one is returned.
+   *
+   * @returns {Object|undefined}
+   */
+  shiftOldest() {
+    let oldest = -1;
+
+    for (let i = this._slots.length - 1; i >= 0; i--) {
+      const head = this._slots[i][0];
+      if (!head) continue;
+
+      if (oldest < 0 || head.createdAt < this._slots[oldest][0].createdAt) {
+        oldest = i;
+      }
+    }
+
+    return oldest < 0 ? undefined : this._slots[oldest].shift();
+  }
+
+  /**
+   * All items, by priority level and then by age, aging left aside.
+   *
+   * @returns {Object[]}
+   */
+  toArray() {
+    return this._slots.reduce((items, slot) => items.concat(slot), []);
+  }
+
+  /**
+   * Remove `item` from the queue.
+   *
+   * @param {Object} item
+   * @returns {Boolean} Whether the item was queued
+   */
+  remove(item) {
+    const slot = this._slots[item.priority];
+    const index = slot ? slot.indexOf(item) : -1;
+
+    if (index < 0) {
+      return false;
+    }
+
+    slot.splice(index, 1);
+    return true;
+  }
+}
+
+module.exports = PriorityQueue;
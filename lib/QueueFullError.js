@@ -0,0 +1,5 @@
+"use strict";
+
+class QueueFullError extends Error {}
+
+exports.QueueFullError = QueueFullError;
@@ -0,0 +1,86 @@
+"use strict";
+
+const tap = require("tap");
+const { AbortError } = require("../..");
+const { createPool, AbortController, delay } = require("../utils");
+
+tap.test("rejects when signal is already aborted", t => {
+  const { pool } = createPool("test-abort-early");
+  const controller = new AbortController();
+  controller.abort();
+
+  pool
+    .acquire({ signal: controller.signal })
+    .then(() => t.fail("should not acquire"))
+    .catch(e => {
+      t.ok(e instanceof AbortError);
+      t.equal(pool.waiting, 0);
+      t.equal(pool.size, 0);
+      t.end();
+    });
+});
+
+tap.test("removes waiter from queue on abort", t => {
+  const { pool } = createPool("test-abort-waiting");
+  const controller = new AbortController();
+
+  pool
+    .acquire()
+    .then(obj => {
+      const aborted = pool.acquire({ signal: controller.signal });
+      t.equal(pool.waiting, 1);
+
+      controller.abort();
+
+      return aborted.catch(e => {
+        t.ok(e instanceof AbortError);
+        t.equal(pool.waiting, 0);
+
+        pool.release(obj);
+        t.equal(pool.available, 1);
+      });
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("returns resource created after abort to the pool", t => {
+  const { pool } = createPool("test-abort-late-create", {
+    create: () => delay(20).then(() => ({ id: 1 }))
+  });
+  const controller = new AbortController();
+
+  const aborted = pool.acquire({ signal: controller.signal });
+  setTimeout(() => controller.abort(), 5);
+
+  aborted
+    .then(() => t.fail("should not acquire"))
+    .catch(e => {
+      t.ok(e instanceof AbortError);
+      return delay(30);
+    })
+    .then(() => {
+      t.equal(pool.size, 1);
+      t.equal(pool.available, 1);
+      t.equal(pool.using, 0);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("ignores abort after resource was acquired", t => {
+  const { pool } = createPool("test-abort-after-acquire");
+  const controller = new AbortController();
+
+  pool
+    .acquire({ signal: controller.signal })
+    .then(obj => {
+      controller.abort();
+
+      t.equal(pool.using, 1);
+      pool.release(obj);
+      t.equal(pool.available, 1);
+      t.end();
+    })
+    .catch(t.threw);
+});
@@ -0,0 +1,153 @@
+"use strict";
+
+const tap = require("tap");
+const { PoolCluster, PoolUnavailableError } = require("../..");
+const { createPool, delay } = require("../utils");
+
+function createMember(name, options) {
+  return createPool(
+    name,
+    { max: 2, create: () => delay(1).then(() => ({ name })) },
+    options
+  ).pool;
+}
+
+tap.test("routes acquires by role", t => {
+  const cluster = new PoolCluster()
+    .add("primary", createMember("primary"))
+    .add("replica-1", createMember("replica-1"), { role: "read" })
+    .add("replica-2", createMember("replica-2"), { role: "read" });
+
+  Promise.all([
+    cluster.acquire(),
+    cluster.acquire({ role: "write" }),
+    cluster.acquire({ role: "read" }),
+    cluster.acquire({ role: "read" }),
+    cluster.acquire({ role: "read" })
+  ])
+    .then(objs => {
+      t.same(objs.map(obj => obj.name), [
+        "primary",
+        "primary",
+        "replica-1",
+        "replica-2",
+        "replica-1"
+      ]);
+      t.equal(cluster.getPool("replica-1").using, 2);
+
+      objs.forEach(obj => cluster.release(obj));
+      t.equal(cluster.getPool("replica-1").available, 2);
+      t.equal(cluster.getPool("primary").available, 2);
+
+      return t.rejects(
+        cluster.acquire({ role: "admin" }),
+        /role must be one of read, write/
+      );
+    })
+    .then(() => cluster.drain())
+    .then(reports => {
+      t.same(Object.keys(reports), ["primary", "replica-1", "replica-2"]);
+      return cluster.destroyAllNow();
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("balances reads to the least busy member", t => {
+  const cluster = new PoolCluster({ balancing: "least-busy" })
+    .add("replica-1", createMember("replica-1"), { role: "read" })
+    .add("replica-2", createMember("replica-2"), { role: "read" });
+
+  cluster
+    .acquire({ role: "read" })
+    .then(first => {
+      t.equal(first.name, "replica-1");
+      return cluster.acquire({ role: "read" }).then(second => {
+        t.equal(second.name, "replica-2");
+        cluster.release(first);
+        return cluster.acquire({ role: "read" }).then(third => {
+          t.equal(third.name, "replica-1");
+          cluster.release(second);
+          cluster.release(third);
+        });
+      });
+    })
+    .then(() => cluster.destroyAllNow())
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("falls back to write members for reads", t => {
+  const cluster = new PoolCluster().add("primary", createMember("primary"));
+
+  cluster
+    .use(obj => obj.name, { role: "read" })
+    .then(name => {
+      t.equal(name, "primary");
+      return cluster.destroyAllNow();
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("ejects members whose creates keep failing", t => {
+  let replicaDown = true;
+  const ejected = [];
+  const restored = [];
+  const replica = createMember("replica", {
+    create: () =>
+      replicaDown
+        ? Promise.reject(new Error("connect ECONNREFUSED"))
+        : Promise.resolve({ name: "replica" })
+  });
+  const cluster = new PoolCluster({ ejectAfterFailures: 2, ejectMillis: 30 })
+    .add("primary", createMember("primary"))
+    .add("replica", replica, { role: "read" });
+  cluster.on("eject", data => ejected.push(data));
+  cluster.on("restore", data => restored.push(data));
+
+  t.rejects(cluster.acquire({ role: "read" }))
+    .then(() => t.rejects(cluster.acquire({ role: "read" })))
+    .then(() => {
+      t.same(ejected, [{ name: "replica", failures: 2 }]);
+      return cluster.acquire({ role: "read" });
+    })
+    .then(obj => {
+      t.equal(obj.name, "primary");
+      cluster.release(obj);
+
+      replicaDown = false;
+      return new Promise(resolve => setTimeout(resolve, 40));
+    })
+    .then(() => cluster.acquire({ role: "read" }))
+    .then(obj => {
+      t.equal(obj.name, "replica");
+      t.same(restored, [{ name: "replica" }]);
+      cluster.release(obj);
+      return cluster.destroyAllNow();
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("rejects when no member is available", t => {
+  const cluster = new PoolCluster();
+
+  cluster
+    .acquire()
+    .catch(error => {
+      t.ok(error instanceof PoolUnavailableError);
+      t.equal(error.message, "no pool is available for write");
+
+      t.throws(
+        () => cluster.add("replica", createMember("replica"), { role: "x" }),
+        /role must be one of read, write/
+      );
+      t.throws(
+        () => new PoolCluster({ balancing: "random" }),
+        /balancing must be one of round-robin, least-busy/
+      );
+      t.end();
+    })
+    .catch(t.threw);
+});
@@ -63,3 +63,38 @@ tap.test("fail without factory.validate", t => {
   }, "validate function is required");
   t.end();
 });
+
+tap.test("fail for unknown dispenseOrder", t => {
+  const factory = {
+    name: "test-config",
+    create: () => {},
+    destroy: () => {},
+    validate: () => {},
+    max: 1,
+    min: 0,
+    dispenseOrder: "round-robin"
+  };
+
+  t.throws(() => {
+    new Pool(factory);
+  }, "dispenseOrder must be one of fifo, lifo, random");
+  t.end();
+});
+
+tap.test("fail for invalid priorityRange", t => {
+  const factory = {
+    name: "test-config",
+    create: () => {},
+    destroy: () => {},
+    validate: () => {},
+    max: 1,
+    min: 0
+  };
+
+  [-2, 0, 1.5, "3"].forEach(priorityRange => {
+    t.throws(() => {
+      new Pool(Object.assign({}, factory, { priorityRange }));
+    }, new Error("priorityRange must be an integer >= 1"));
+  });
+  t.end();
+});
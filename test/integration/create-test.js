@@ -1,7 +1,7 @@
 "use strict";
 
 const tap = require("tap");
-const Pool = require("../..").Pool;
+const { Pool, PoolUnavailableError, TimeoutError } = require("../..");
 const { delay } = require("../utils");
 
 tap.test("factory.create", t => {
@@ -83,3 +83,244 @@ tap.test("factory.create", t => {
 
   t.end();
 });
+
+tap.test("retries failed creates with backoff", t => {
+  let created = 0;
+  const attempts = [];
+  const pool = new Pool({
+    name: "test-create-retries",
+    create: () => {
+      attempts.push(Date.now());
+      if (created++ < 2) {
+        return Promise.reject(new Error("ECONNREFUSED"));
+      }
+      return Promise.resolve({ id: created });
+    },
+    destroy: () => {},
+    validate: () => true,
+    max: 1,
+    min: 0,
+    idleTimeoutMillis: 100,
+    createRetries: 2,
+    createRetryDelayMillis: 20
+  });
+
+  pool
+    .acquire()
+    .then(obj => {
+      t.equal(obj.id, 3);
+      t.equal(attempts.length, 3);
+      // 10-20ms then 20-40ms
+      t.ok(attempts[1] - attempts[0] >= 9);
+      t.ok(attempts[2] - attempts[1] >= 19);
+      t.equal(pool.metrics().createFailures, 2);
+      pool.release(obj);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("rejects acquire once retries are exhausted", t => {
+  let attempts = 0;
+  const pool = new Pool({
+    name: "test-create-retries-exhausted",
+    create: () => {
+      attempts++;
+      return Promise.reject(new Error("ECONNREFUSED"));
+    },
+    destroy: () => {},
+    validate: () => true,
+    max: 1,
+    min: 0,
+    createRetries: 1,
+    createRetryDelayMillis: 5
+  });
+
+  t.rejects(pool.acquire(), new Error("ECONNREFUSED"))
+    .then(() => {
+      t.equal(attempts, 2);
+      t.equal(pool.size, 0);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("circuit breaker fails fast and probes", t => {
+  let healthy = false;
+  let attempts = 0;
+  const events = [];
+  const pool = new Pool({
+    name: "test-create-circuit-breaker",
+    create: () => {
+      attempts++;
+      return healthy
+        ? Promise.resolve({ id: attempts })
+        : Promise.reject(new Error("ECONNREFUSED"));
+    },
+    destroy: () => {},
+    validate: () => true,
+    max: 2,
+    min: 0,
+    idleTimeoutMillis: 100,
+    circuitBreakerThreshold: 2,
+    circuitBreakerResetMillis: 50
+  });
+  pool.on("circuitOpen", () => events.push("open"));
+  pool.on("circuitClose", () => events.push("close"));
+
+  t.rejects(pool.acquire(), new Error("ECONNREFUSED"))
+    .then(() => t.rejects(pool.acquire(), new Error("ECONNREFUSED")))
+    .then(() => {
+      t.same(events, ["open"]);
+      return t.rejects(pool.acquire(), PoolUnavailableError);
+    })
+    .then(() => {
+      t.equal(attempts, 2);
+      return delay(60);
+    })
+    .then(() => {
+      // probe fails, circuit opens again
+      return t.rejects(pool.acquire(), new Error("ECONNREFUSED"));
+    })
+    .then(() => {
+      t.equal(attempts, 3);
+      t.same(events, ["open", "open"]);
+      return t.rejects(pool.acquire(), PoolUnavailableError);
+    })
+    .then(() => delay(60))
+    .then(() => {
+      healthy = true;
+      // the probe serves the first waiter, the second gets a create of its own
+      const first = pool.acquire();
+      const second = pool.acquire();
+
+      return first.then(obj => {
+        t.equal(attempts, 5);
+        t.same(events, ["open", "open", "close"]);
+        pool.release(obj);
+        return second;
+      });
+    })
+    .then(obj => {
+      pool.release(obj);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("circuit breaker serves every waiter once closed", t => {
+  let healthy = false;
+  const pool = new Pool({
+    name: "test-create-circuit-close",
+    create: () =>
+      healthy
+        ? delay(1).then(() => ({}))
+        : Promise.reject(new Error("ECONNREFUSED")),
+    destroy: () => {},
+    validate: () => true,
+    max: 2,
+    min: 0,
+    idleTimeoutMillis: 100,
+    circuitBreakerThreshold: 1,
+    circuitBreakerResetMillis: 20
+  });
+
+  t.rejects(pool.acquire(), new Error("ECONNREFUSED"))
+    .then(() => delay(30))
+    .then(() => {
+      healthy = true;
+      return Promise.all([pool.acquire(), pool.acquire()]);
+    })
+    .then(objs => {
+      t.equal(pool.using, 2);
+      objs.forEach(obj => pool.release(obj));
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("circuit breaker still hands out idle resources", t => {
+  let attempts = 0;
+  const pool = new Pool({
+    name: "test-create-circuit-idle",
+    create: () =>
+      attempts++ === 0
+        ? Promise.resolve({ id: 0 })
+        : Promise.reject(new Error("ECONNREFUSED")),
+    destroy: () => {},
+    validate: () => true,
+    max: 3,
+    min: 0,
+    idleTimeoutMillis: 100,
+    circuitBreakerThreshold: 1,
+    circuitBreakerResetMillis: 10000
+  });
+
+  pool
+    .acquire()
+    .then(obj =>
+      // opens the circuit
+      t
+        .rejects(pool.acquire(), new Error("ECONNREFUSED"))
+        .then(() => pool.release(obj))
+    )
+    .then(() => {
+      t.equal(pool.available, 1);
+      return pool.acquire();
+    })
+    .then(obj => {
+      t.equal(obj.id, 0);
+      // no resource left for this one
+      return t.rejects(pool.acquire(), PoolUnavailableError).then(() => obj);
+    })
+    .then(obj => {
+      pool.release(obj);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("abandons hung creates after createTimeoutMillis", t => {
+  const destroyed = [];
+  const lateResource = { id: "late" };
+  let created = 0;
+  let timeouts = 0;
+
+  const pool = new Pool({
+    name: "test-create-timeout",
+    create: () => {
+      if (created++ === 0) {
+        return delay(50).then(() => lateResource);
+      }
+      return Promise.resolve({ id: created });
+    },
+    destroy: resource => destroyed.push(resource),
+    validate: () => true,
+    max: 1,
+    min: 0,
+    idleTimeoutMillis: 100,
+    createTimeoutMillis: 20,
+    acquireTimeoutMillis: 1000
+  });
+  pool.on("createTimeout", () => timeouts++);
+
+  t.rejects(pool.acquire(), TimeoutError)
+    .then(() => {
+      t.equal(timeouts, 1);
+      // slot of the hung create is free again
+      t.equal(pool.size, 0);
+      return pool.acquire();
+    })
+    .then(obj => {
+      t.equal(obj.id, 2);
+      return delay(50).then(() => obj);
+    })
+    .then(obj => {
+      t.same(destroyed, [lateResource]);
+      t.equal(pool.size, 1);
+      t.equal(pool.metrics().createTimeouts, 1);
+      pool.release(obj);
+      t.end();
+    })
+    .catch(t.threw);
+});
@@ -0,0 +1,128 @@
+"use strict";
+
+const tap = require("tap");
+const { TimeoutError } = require("../..");
+const { createPool, delay } = require("../utils");
+
+tap.test("destroyAllNow waits for async destroy handlers", t => {
+  const closed = [];
+  const { pool } = createPool(
+    "test-destroy-async",
+    { max: 2 },
+    {
+      destroy: resource => delay(20).then(() => closed.push(resource.id))
+    }
+  );
+
+  Promise.all([pool.acquire(), pool.acquire()])
+    .then(objs => {
+      objs.forEach(obj => pool.release(obj));
+      return pool.destroyAllNow();
+    })
+    .then(() => {
+      t.same(closed.sort(), [0, 1]);
+      t.equal(pool.size, 0);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("reports failing destroy handlers", t => {
+  const error = new Error("end failed");
+  const failures = [];
+  const { pool } = createPool(
+    "test-destroy-reject",
+    { max: 2 },
+    {
+      destroy: () => Promise.reject(error)
+    }
+  );
+  pool.on("destroyError", data => failures.push(data));
+
+  pool
+    .acquire()
+    .then(obj => {
+      return pool.destroy(obj).then(() => {
+        t.equal(failures.length, 1);
+        t.equal(failures[0].resource, obj);
+        t.equal(failures[0].error, error);
+        t.equal(pool.metrics().destroyFailures, 1);
+        t.equal(pool.size, 0);
+        t.end();
+      });
+    })
+    .catch(t.threw);
+});
+
+tap.test("reports destroy handlers throwing synchronously", t => {
+  const { pool } = createPool(
+    "test-destroy-throw",
+    { max: 2 },
+    {
+      destroy: () => {
+        throw new Error("already closed");
+      }
+    }
+  );
+  pool.on("destroyError", data => {
+    t.equal(data.error.message, "already closed");
+  });
+
+  pool
+    .acquire()
+    .then(obj => pool.destroy(obj))
+    .then(() => {
+      t.equal(pool.metrics().destroyFailures, 1);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("stops waiting for hung destroy handlers", t => {
+  const { pool } = createPool(
+    "test-destroy-timeout",
+    { max: 2 },
+    {
+      destroy: () => new Promise(() => {}),
+      destroyTimeoutMillis: 20
+    }
+  );
+  pool.on("destroyError", data => {
+    t.ok(data.error instanceof TimeoutError);
+  });
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.release(obj);
+      return pool.destroyAllNow();
+    })
+    .then(() => {
+      t.equal(pool.metrics().destroyFailures, 1);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("drain waits for pending destroy handlers", t => {
+  let closed = false;
+  const { pool } = createPool(
+    "test-destroy-drain",
+    { max: 2 },
+    {
+      destroy: () => delay(30).then(() => (closed = true))
+    }
+  );
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.destroy(obj);
+      return pool.drain();
+    })
+    .then(() => {
+      t.ok(closed);
+      t.end();
+    })
+    .catch(t.threw);
+});
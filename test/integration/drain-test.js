@@ -0,0 +1,139 @@
+"use strict";
+
+const tap = require("tap");
+const { DrainError } = require("../..");
+const { createPool, delay } = require("../utils");
+
+tap.test("resolves once resources are released", t => {
+  const { pool } = createPool("test-drain-report");
+  let drained = null;
+  pool.on("drain", data => (drained = data));
+
+  pool
+    .acquire()
+    .then(obj => {
+      setTimeout(() => pool.release(obj), 20);
+
+      const draining = pool.drain();
+      t.equal(pool.drain(), draining);
+
+      return draining;
+    })
+    .then(report => {
+      t.same(report, { timedOut: false, inUse: [], rejected: 0 });
+      t.equal(pool.available, 1);
+      t.match(drained, { timedOut: false, available: 1 });
+      t.ok(drained.duration >= 15);
+
+      return pool.acquire().catch(e => {
+        t.ok(e instanceof DrainError);
+        t.equal(e.message, "pool is draining and cannot accept work");
+      });
+    })
+    .then(() => pool.destroyAllNow())
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("gives up waiting at the deadline", t => {
+  const { pool, resourceFactory } = createPool("test-drain-timeout");
+
+  pool
+    .acquire()
+    .then(obj => {
+      const waiting = pool.acquire().catch(e => e);
+
+      return pool.drain({ timeoutMillis: 30 }).then(report => {
+        t.same(report, { timedOut: true, inUse: [obj], rejected: 1 });
+        t.equal(pool.using, 1);
+        t.equal(resourceFactory.destroyed, 0);
+
+        return waiting.then(e => {
+          t.ok(e instanceof DrainError);
+          t.equal(e.message, "pool is draining and cannot accept work");
+          pool.release(obj);
+        });
+      });
+    })
+    .then(() => pool.destroyAllNow())
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("destroys all resources at the deadline with force", t => {
+  const { pool, resourceFactory } = createPool("test-drain-force", {
+    max: 2
+  });
+
+  Promise.all([pool.acquire(), pool.acquire()])
+    .then(objs => {
+      pool.release(objs[1]);
+
+      return pool.drain({ timeoutMillis: 30, force: true }).then(report => {
+        t.same(report, { timedOut: true, inUse: [objs[0]], rejected: 0 });
+        t.equal(pool.size, 0);
+        t.equal(pool.using, 0);
+        t.equal(pool.available, 0);
+        t.equal(resourceFactory.destroyed, 2);
+      });
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("rejects pending acquires when the drain starts", t => {
+  const { pool } = createPool("test-drain-pending");
+
+  pool
+    .acquire()
+    .then(obj => {
+      const waiting = pool.acquire().catch(e => e);
+      const draining = pool.drain({ timeoutMillis: 1000 });
+
+      return waiting.then(e => {
+        t.ok(e instanceof DrainError);
+        t.equal(pool.waiting, 0);
+
+        pool.release(obj);
+        return draining;
+      });
+    })
+    .then(report => {
+      t.same(report, { timedOut: false, inUse: [], rejected: 1 });
+      return pool.destroyAllNow();
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("destroys resources being validated with force", t => {
+  const { pool, resourceFactory } = createPool("test-drain-validating", {
+    validate: () => delay(100).then(() => true)
+  });
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.release(obj);
+
+      const waiting = pool.acquire().catch(e => e);
+      return Promise.all([
+        waiting,
+        pool.drain({ timeoutMillis: 20, force: true })
+      ]);
+    })
+    .then(results => {
+      t.ok(results[0] instanceof DrainError);
+      t.same(results[1], { timedOut: true, inUse: [], rejected: 1 });
+      t.equal(resourceFactory.destroyed, 1);
+      t.equal(pool.size, 0);
+
+      return delay(120);
+    })
+    .then(() => {
+      t.equal(pool.size, 0);
+      t.equal(pool.available, 0);
+      t.end();
+    })
+    .catch(t.threw);
+});
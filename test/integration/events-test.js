@@ -0,0 +1,137 @@
+"use strict";
+
+const tap = require("tap");
+const Pool = require("../..").Pool;
+const { ResourceFactory, delay } = require("../utils");
+
+tap.test("emits lifecycle events with counters", t => {
+  const resourceFactory = new ResourceFactory();
+  const events = [];
+
+  const pool = new Pool({
+    name: "test-events",
+    create: resourceFactory.create.bind(resourceFactory),
+    destroy: resourceFactory.destroy.bind(resourceFactory),
+    validate: resourceFactory.validate.bind(resourceFactory),
+    max: 1,
+    min: 0,
+    idleTimeoutMillis: 100
+  });
+
+  ["create", "acquire", "release", "destroy", "drain"].forEach(event => {
+    pool.on(event, data => events.push({ event, data }));
+  });
+
+  pool
+    .acquire()
+    .then(obj => delay(10).then(() => obj))
+    .then(obj => {
+      pool.release(obj);
+      return pool.acquire();
+    })
+    .then(obj => {
+      pool.destroy(obj);
+      return pool.drain();
+    })
+    .then(() => {
+      t.same(events.map(e => e.event), [
+        "create",
+        "acquire",
+        "release",
+        "acquire",
+        "destroy",
+        "drain"
+      ]);
+
+      const create = events[0].data;
+      t.equal(create.resource.id, 0);
+      t.type(create.duration, "number");
+
+      const acquire = events[1].data;
+      t.match(acquire, { size: 1, available: 0, using: 1, waiting: 0 });
+
+      const release = events[2].data;
+      t.match(release, { size: 1, available: 0, using: 0, waiting: 0 });
+      t.ok(release.duration >= 5);
+
+      const destroy = events[4].data;
+      t.match(destroy, { size: 0, available: 0, using: 0 });
+      t.ok(destroy.duration >= 5);
+
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("emits createError", t => {
+  const error = new Error("connect ECONNREFUSED");
+
+  const pool = new Pool({
+    name: "test-events-create-error",
+    create: () => Promise.reject(error),
+    destroy: () => {},
+    validate: () => true,
+    max: 1,
+    min: 0
+  });
+
+  pool.on("createError", data => {
+    t.equal(data.error, error);
+    t.equal(data.attempt, 1);
+    // still counted while retries are possible, released once given up
+    t.equal(data.size, 1);
+    t.type(data.duration, "number");
+  });
+
+  t.rejects(pool.acquire(), error).then(t.end);
+});
+
+tap.test("emits validateFail", t => {
+  const resourceFactory = new ResourceFactory();
+  const failed = [];
+
+  const pool = new Pool({
+    name: "test-events-validate-fail",
+    create: resourceFactory.create.bind(resourceFactory),
+    destroy: resourceFactory.destroy.bind(resourceFactory),
+    validate: resource => resource.id > 0,
+    max: 1,
+    min: 0,
+    idleTimeoutMillis: 100
+  });
+
+  pool.on("validateFail", data => failed.push(data.resource));
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.release(obj);
+      return pool.acquire();
+    })
+    .then(obj => {
+      t.equal(failed.length, 1);
+      t.equal(failed[0].id, 0);
+      pool.release(obj);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("emits acquireTimeout", t => {
+  const pool = new Pool({
+    name: "test-events-acquire-timeout",
+    create: () => new Promise(() => {}),
+    destroy: () => {},
+    validate: () => true,
+    max: 1,
+    min: 0,
+    acquireTimeoutMillis: 20
+  });
+
+  pool.on("acquireTimeout", data => {
+    t.equal(data.waiting, 0);
+    t.ok(data.duration >= 15);
+  });
+
+  t.rejects(pool.acquire()).then(t.end);
+});
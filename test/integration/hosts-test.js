@@ -0,0 +1,254 @@
+"use strict";
+
+const tap = require("tap");
+const { PoolUnavailableError, TimeoutError } = require("../..");
+const { createPool, delay } = require("../utils");
+
+function createHost(name, weight) {
+  const host = {
+    name,
+    weight,
+    down: false,
+    created: 0,
+    create: () => {
+      if (host.down) {
+        return Promise.reject(new Error(`connect ECONNREFUSED ${name}`));
+      }
+      return Promise.resolve({ host: name, id: host.created++ });
+    }
+  };
+  return host;
+}
+
+function createHostPool(name, hosts, options) {
+  return createPool(name, { hosts, max: 10 }, options).pool;
+}
+
+tap.test("validates hosts", t => {
+  t.throws(() => createHostPool("test-hosts-empty", []), /non-empty array/);
+  t.throws(
+    () => createHostPool("test-hosts-name", [{ create: () => {} }]),
+    /every host needs a name and a create function/
+  );
+  t.throws(
+    () =>
+      createHostPool("test-hosts-twice", [createHost("a"), createHost("a")]),
+    /host a is listed twice/
+  );
+  [0, -1, "2", NaN].forEach(weight => {
+    t.throws(
+      () => createHostPool("test-hosts-weight", [createHost("a", weight)]),
+      /weight of host a must be a number > 0/
+    );
+  });
+  t.end();
+});
+
+tap.test("spreads creates by weight", t => {
+  const a = createHost("a", 2);
+  const b = createHost("b", 1);
+  const pool = createHostPool("test-hosts-weight", [a, b]);
+  const acquires = [];
+
+  for (let i = 0; i < 6; i++) {
+    acquires.push(pool.acquire());
+  }
+
+  Promise.all(acquires)
+    .then(objs => {
+      t.equal(a.created, 4);
+      t.equal(b.created, 2);
+
+      const snapshot = pool.inspect();
+      t.same(snapshot.hosts.map(host => host.state), ["up", "up"]);
+      t.equal(snapshot.resources.filter(r => r.host === "a").length, 4);
+
+      objs.forEach(obj => pool.release(obj));
+      return pool.drain().then(() => pool.destroyAllNow());
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("fails over to healthy hosts and probes down ones", t => {
+  const a = createHost("a");
+  const b = createHost("b");
+  const pool = createHostPool("test-hosts-failover", [a, b], {
+    hostFailureThreshold: 2,
+    hostRetryMillis: 30
+  });
+  const events = [];
+  pool.on("hostDown", data => events.push(["down", data.host, data.failures]));
+  pool.on("hostUp", data => events.push(["up", data.host]));
+
+  a.down = true;
+
+  // a fails twice, b serves the others
+  Promise.all([1, 2, 3, 4].map(() => pool.acquire().catch(e => e)))
+    .then(results => {
+      t.equal(results.filter(r => r instanceof Error).length, 2);
+      t.same(events, [["down", "a", 2]]);
+      t.match(pool.inspect().hosts[0], { name: "a", state: "down" });
+
+      return Promise.all([pool.acquire(), pool.acquire()]).then(objs => {
+        t.same(objs.map(obj => obj.host), ["b", "b"]);
+        return results.concat(objs);
+      });
+    })
+    .then(objs => {
+      a.down = false;
+      return delay(40).then(() => objs);
+    })
+    .then(objs => {
+      return pool.acquire().then(obj => {
+        t.equal(obj.host, "a");
+        t.same(events, [["down", "a", 2], ["up", "a"]]);
+
+        objs
+          .concat(obj)
+          .filter(r => !(r instanceof Error))
+          .forEach(r => pool.release(r));
+        return pool.drain().then(() => pool.destroyAllNow());
+      });
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("counts validation failures against the host", t => {
+  const a = createHost("a");
+  const pool = createHostPool("test-hosts-validate", [a], {
+    hostFailureThreshold: 1,
+    validate: () => false
+  });
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.release(obj);
+      return pool.acquire().catch(e => e);
+    })
+    .then(error => {
+      t.ok(error instanceof PoolUnavailableError);
+      t.equal(error.message, "no host is available");
+      t.equal(pool.inspect().hosts[0].state, "down");
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("counts create timeouts against the host", t => {
+  const a = createHost("a");
+  a.create = () => new Promise(() => {});
+  const pool = createHostPool("test-hosts-timeout", [a], {
+    hostFailureThreshold: 2,
+    createTimeoutMillis: 20
+  });
+
+  Promise.all([pool.acquire().catch(e => e), pool.acquire().catch(e => e)])
+    .then(errors => {
+      t.ok(errors.every(error => error instanceof TimeoutError));
+      t.match(pool.inspect().hosts[0], { state: "down", failures: 2 });
+      return pool.acquire().catch(e => e);
+    })
+    .then(error => {
+      t.equal(error.message, "no host is available");
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("falls back to up hosts when a probe fails", t => {
+  const bad = createHost("bad");
+  const good = createHost("good");
+  const pool = createHostPool("test-hosts-probe", [bad, good], {
+    hostFailureThreshold: 1,
+    hostRetryMillis: 20
+  });
+
+  bad.down = true;
+
+  pool
+    .acquire()
+    .catch(e => e)
+    .then(error => {
+      t.match(error.message, /ECONNREFUSED bad/);
+      return delay(30);
+    })
+    .then(() => pool.acquire())
+    .then(obj => {
+      t.equal(obj.host, "good");
+      t.match(pool.inspect().hosts[0], { name: "bad", state: "down" });
+      pool.release(obj);
+      return pool.drain().then(() => pool.destroyAllNow());
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("probes down hosts in the background", t => {
+  const a = createHost("a");
+  const pool = createHostPool("test-hosts-background", [a], {
+    hostFailureThreshold: 1,
+    hostRetryMillis: 20
+  });
+  const events = [];
+  pool.on("hostUp", data => events.push(data.host));
+
+  a.down = true;
+
+  pool
+    .acquire()
+    .catch(e => e)
+    .then(error => {
+      t.match(error.message, /ECONNREFUSED a/);
+      a.down = false;
+      return delay(60);
+    })
+    .then(() => {
+      t.same(events, ["a"]);
+      t.equal(pool.inspect().hosts[0].state, "up");
+      t.equal(pool.available, 1);
+      return pool.drain().then(() => pool.destroyAllNow());
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("gives up on hung probes", t => {
+  let hang = false;
+  const bad = createHost("bad");
+  const create = bad.create;
+  bad.create = () => {
+    if (!hang) return create();
+
+    // the first probe hangs, the ones after it fail right away
+    hang = false;
+    return new Promise(() => {});
+  };
+  const good = createHost("good");
+  const pool = createHostPool("test-hosts-hung-probe", [bad, good], {
+    hostFailureThreshold: 1,
+    hostRetryMillis: 20
+  });
+  let timeouts = 0;
+  pool.on("createTimeout", () => timeouts++);
+
+  bad.down = true;
+
+  pool
+    .acquire()
+    .catch(e => e)
+    .then(error => {
+      t.match(error.message, /ECONNREFUSED bad/);
+      hang = true;
+      return delay(80);
+    })
+    .then(() => {
+      t.equal(timeouts, 1);
+      t.match(pool.inspect().hosts[0], { name: "bad", state: "down" });
+      return pool.drain().then(() => pool.destroyAllNow());
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
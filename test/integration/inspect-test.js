@@ -0,0 +1,123 @@
+"use strict";
+
+const tap = require("tap");
+const { createPool, delay } = require("../utils");
+
+tap.test("describes resources and pending acquires", t => {
+  const { pool } = createPool("test-inspect", { max: 2 }, { priorityRange: 2 });
+
+  Promise.all([pool.acquire(), pool.acquire()])
+    .then(objs => {
+      const start = Date.now();
+      pool.release(objs[1]);
+      // served right away by the released resource
+      const served = pool.acquire({ priority: 1 });
+      const waiting = pool.acquire();
+
+      return delay(10).then(() => {
+        const snapshot = pool.inspect();
+
+        t.match(snapshot, {
+          name: "test-inspect",
+          min: 0,
+          max: 2,
+          size: 2,
+          available: 0,
+          using: 2,
+          waiting: 1,
+          draining: false
+        });
+        t.same(JSON.parse(JSON.stringify(snapshot)), snapshot);
+
+        const byId = snapshot.resources.sort((a, b) => a.id - b.id);
+        t.same(byId.map(r => r.id), [1, 2]);
+        t.same(byId.map(r => r.state), ["in-use", "in-use"]);
+        t.same(byId.map(r => r.useCount), [1, 2]);
+        t.ok(byId[1].lastReleasedAt >= start);
+        t.ok(byId[1].lastAcquiredAt >= byId[1].lastReleasedAt);
+        t.equal(byId[0].lastReleasedAt, null);
+        t.equal(byId[0].idleDeadline, null);
+
+        t.equal(snapshot.pendingAcquires.length, 1);
+        t.equal(snapshot.pendingAcquires[0].priority, 0);
+        t.ok(snapshot.pendingAcquires[0].age >= 5);
+
+        pool.release(objs[0]);
+        return Promise.all([served, waiting]);
+      });
+    })
+    .then(objs => {
+      objs.forEach(obj => pool.release(obj));
+
+      const idle = pool.inspect().resources;
+      t.same(idle.map(r => r.state), ["idle", "idle"]);
+      idle.forEach(r => t.ok(r.idleDeadline > Date.now()));
+
+      return pool.drain().then(() => pool.destroyAllNow());
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("lists pending creates and destroys", t => {
+  const { pool } = createPool(
+    "test-inspect-pending",
+    { max: 2 },
+    {
+      create: () => delay(20).then(() => ({})),
+      destroy: () => delay(20)
+    }
+  );
+
+  const acquired = pool.acquire();
+  t.match(pool.inspect().resources, [
+    { id: null, state: "creating", createdAt: null }
+  ]);
+  t.type(pool.inspect().resources[0].startedAt, "number");
+
+  acquired
+    .then(obj => {
+      const described = pool.inspect().resources[0];
+      t.equal(described.state, "in-use");
+
+      pool.destroy(obj);
+      t.match(pool.inspect().resources, [
+        { id: described.id, state: "destroying", useCount: 1 }
+      ]);
+
+      return pool.destroyAllNow();
+    })
+    .then(() => {
+      t.same(pool.inspect().resources, []);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("reports resources being validated", t => {
+  let release;
+  const { pool } = createPool(
+    "test-inspect-validating",
+    { max: 2 },
+    {
+      validate: () => new Promise(resolve => (release = resolve))
+    }
+  );
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.release(obj);
+      const acquired = pool.acquire();
+
+      t.equal(pool.inspect().resources[0].state, "validating");
+      release(true);
+      return acquired;
+    })
+    .then(obj => {
+      pool.release(obj);
+      return pool.drain().then(() => pool.destroyAllNow());
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
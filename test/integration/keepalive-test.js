@@ -0,0 +1,146 @@
+"use strict";
+
+const tap = require("tap");
+const { createPool, delay } = require("../utils");
+
+const defaults = {
+  max: 2,
+  reapIntervalMillis: 10,
+  testOnIdleIntervalMillis: 20
+};
+
+tap.test("pings idle resources with keepalive", t => {
+  const pinged = [];
+  const { pool, resourceFactory } = createPool("test-keepalive", defaults, {
+    keepalive: resource => {
+      pinged.push(resource.id);
+      return Promise.resolve();
+    }
+  });
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.release(obj);
+      return delay(60);
+    })
+    .then(() => {
+      t.ok(pinged.length >= 1);
+      t.equal(pinged[0], 0);
+      t.equal(pool.available, 1);
+      t.equal(resourceFactory.destroyed, 0);
+
+      return pool.drain().then(() => pool.destroyAllNow());
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("replaces idle resources failing keepalive", t => {
+  const error = new Error("connection reset");
+  const { pool, resourceFactory } = createPool(
+    "test-keepalive-dead",
+    defaults,
+    {
+      keepalive: resource =>
+        resource.id === 0 ? Promise.reject(error) : Promise.resolve()
+    }
+  );
+  const failures = [];
+  pool.on("validateFail", data => failures.push(data));
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.release(obj);
+      return delay(40);
+    })
+    .then(() => {
+      t.equal(failures.length, 1);
+      t.equal(failures[0].error, error);
+      t.equal(resourceFactory.bin[0].id, 0);
+      t.equal(pool.size, 1);
+      t.equal(pool.available, 1);
+
+      return pool.acquire();
+    })
+    .then(obj => {
+      t.equal(obj.id, 1);
+      pool.release(obj);
+      return pool.drain().then(() => pool.destroyAllNow());
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("falls back to validate for idle checks", t => {
+  let valid = true;
+  const { pool, resourceFactory } = createPool(
+    "test-keepalive-validate",
+    defaults,
+    {
+      validate: () => valid
+    }
+  );
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.release(obj);
+      valid = false;
+      return delay(40);
+    })
+    .then(() => {
+      t.ok(resourceFactory.destroyed >= 1);
+      t.equal(resourceFactory.bin[0].id, 0);
+
+      valid = true;
+      return pool.drain().then(() => pool.destroyAllNow());
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("does not check resources in use", t => {
+  const { pool } = createPool("test-keepalive-in-use", defaults, {
+    keepalive: () => t.fail("should not ping resources in use")
+  });
+
+  pool
+    .acquire()
+    .then(obj => delay(40).then(() => pool.release(obj)))
+    .then(() => pool.drain())
+    .then(() => pool.destroyAllNow())
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("keeps the release order of checked resources", t => {
+  let checked = null;
+  const firstCheck = new Promise(resolve => (checked = resolve));
+  const { pool } = createPool("test-keepalive-order", defaults, {
+    dispenseOrder: "lifo",
+    testOnIdleIntervalMillis: 50,
+    keepalive: resource => {
+      if (resource.id === 0) checked();
+      return Promise.resolve();
+    }
+  });
+
+  Promise.all([pool.acquire(), pool.acquire()])
+    .then(objs => {
+      pool.release(objs[0]);
+      return delay(25).then(() => pool.release(objs[1]));
+    })
+    // only the resource released first is due for a check
+    .then(() => firstCheck)
+    .then(() => new Promise(resolve => setImmediate(resolve)))
+    .then(() => pool.acquire())
+    .then(obj => {
+      t.equal(obj.id, 1);
+      pool.release(obj);
+      return pool.drain().then(() => pool.destroyAllNow());
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
@@ -0,0 +1,77 @@
+"use strict";
+
+const tap = require("tap");
+const { createPool, delay } = require("../utils");
+
+tap.test("reports resources held past the threshold", t => {
+  const warnings = [];
+  const { pool } = createPool("test-leak-report", {
+    leakDetectionThresholdMillis: 20,
+    log: (msg, level) => {
+      if (level === "warn") warnings.push(msg);
+    }
+  });
+  const leaks = [];
+  pool.on("leak", data => leaks.push(data));
+
+  function forgetfulCaller() {
+    return pool.acquire();
+  }
+
+  forgetfulCaller()
+    .then(obj => delay(40).then(() => obj))
+    .then(obj => {
+      t.equal(leaks.length, 1);
+      t.equal(leaks[0].resource, obj);
+      t.ok(leaks[0].duration >= 15);
+      t.match(leaks[0].stack, /forgetfulCaller/);
+      t.match(warnings[0], /without being released/);
+      t.equal(pool.metrics().leaks, 1);
+
+      // not reclaimed by default
+      t.equal(pool.using, 1);
+      pool.release(obj);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("does not report resources released in time", t => {
+  const { pool } = createPool("test-leak-released", {
+    leakDetectionThresholdMillis: 20
+  });
+  pool.on("leak", () => t.fail("should not report a leak"));
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.release(obj);
+      return pool.acquire();
+    })
+    .then(obj => {
+      pool.destroy(obj);
+      return delay(40);
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("reclaims leaked resources", t => {
+  const { pool, resourceFactory } = createPool("test-leak-reclaim", {
+    leakDetectionThresholdMillis: 20,
+    reclaimLeakedResources: true
+  });
+
+  pool
+    .acquire()
+    .then(leaked => {
+      return pool.acquire().then(obj => {
+        t.equal(resourceFactory.bin[0], leaked);
+        t.notEqual(obj, leaked);
+        t.equal(pool.size, 1);
+        pool.release(obj);
+        t.end();
+      });
+    })
+    .catch(t.threw);
+});
@@ -0,0 +1,114 @@
+"use strict";
+
+const tap = require("tap");
+const { Pool, toPrometheus } = require("../..");
+const { ResourceFactory } = require("../utils");
+
+tap.test("pool.metrics", t => {
+  const resourceFactory = new ResourceFactory();
+  let failCreate = true;
+
+  const pool = new Pool({
+    name: "test-metrics",
+    create: () =>
+      failCreate
+        ? Promise.reject(new Error("create failed"))
+        : resourceFactory.create(),
+    destroy: resourceFactory.destroy.bind(resourceFactory),
+    validate: resource => resource.id > 0,
+    max: 2,
+    min: 0,
+    idleTimeoutMillis: 100,
+    acquireTimeoutMillis: 50,
+    acquireWaitBuckets: [100, 10]
+  });
+
+  t.rejects(pool.acquire())
+    .then(() => {
+      failCreate = false;
+      return Promise.all([pool.acquire(), pool.acquire()]);
+    })
+    .then(objs => {
+      return t.rejects(pool.acquire()).then(() => objs);
+    })
+    .then(objs => {
+      objs.forEach(obj => pool.release(obj));
+      // resource with id 0 fails validation and gets destroyed
+      return pool.acquire().then(obj => pool.acquire().then(() => obj));
+    })
+    .then(obj => {
+      pool.destroy(obj);
+
+      const metrics = pool.metrics();
+      t.match(metrics, {
+        name: "test-metrics",
+        size: 1,
+        available: 0,
+        using: 1,
+        waiting: 0,
+        maxUsing: 2,
+        maxWaiting: 2,
+        created: 3,
+        destroyed: 2,
+        createFailures: 1,
+        validationFailures: 1,
+        acquireTimeouts: 1
+      });
+
+      const wait = metrics.acquireWaitMillis;
+      t.equal(wait.count, 4);
+      t.same(wait.buckets.map(b => b.le), [10, 100, Infinity]);
+      t.equal(wait.buckets[2].count, 4);
+      t.ok(wait.buckets[0].count <= wait.buckets[1].count);
+      t.type(wait.sum, "number");
+
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("toPrometheus", t => {
+  const pool = new Pool({
+    name: 'test-"prometheus"',
+    create: () => Promise.resolve({}),
+    destroy: () => {},
+    validate: () => true,
+    max: 1,
+    min: 0,
+    idleTimeoutMillis: 100,
+    acquireWaitBuckets: [5]
+  });
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.release(obj);
+
+      const text = toPrometheus(pool.metrics(), {
+        prefix: "db_pool",
+        labels: { app: "api" }
+      });
+      const lines = text.split("\n");
+      const labels = 'pool="test-\\"prometheus\\"",app="api"';
+
+      t.ok(lines.indexOf("# TYPE db_pool_size gauge") >= 0);
+      t.ok(lines.indexOf(`db_pool_size{${labels}} 1`) >= 0);
+      t.ok(lines.indexOf(`db_pool_created_total{${labels}} 1`) >= 0);
+      t.ok(
+        lines.indexOf("# TYPE db_pool_acquire_wait_milliseconds histogram") >= 0
+      );
+      t.ok(
+        lines.indexOf(
+          `db_pool_acquire_wait_milliseconds_bucket{${labels},le="+Inf"} 1`
+        ) >= 0
+      );
+      t.ok(
+        lines.indexOf(`db_pool_acquire_wait_milliseconds_count{${labels}} 1`) >=
+          0
+      );
+      t.equal(text[text.length - 1], "\n");
+
+      t.end();
+    })
+    .catch(t.threw);
+});
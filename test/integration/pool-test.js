@@ -1,7 +1,7 @@
 "use strict";
 
 const tap = require("tap");
-const { Pool, TimeoutError } = require("../..");
+const { Pool, TimeoutError, DrainError } = require("../..");
 const { ResourceFactory, delay } = require("../utils");
 
 tap.test("pool expands only to max limit", t => {
@@ -26,6 +26,36 @@ tap.test("pool expands only to max limit", t => {
       return pool.acquire().catch(e => {
         t.ok(e instanceof TimeoutError);
         t.ok(e.message === "Operation timeout");
+        t.equal(e.timeoutMillis, 100);
+        pool.release(obj);
+        t.end();
+      });
+    })
+    .catch(t.threw);
+});
+
+tap.test("acquire timeout can be overridden per call", t => {
+  const resourceFactory = new ResourceFactory();
+
+  const pool = new Pool({
+    name: "test-acquire-timeout-override",
+    create: resourceFactory.create.bind(resourceFactory),
+    destroy: resourceFactory.destroy.bind(resourceFactory),
+    validate: resourceFactory.validate.bind(resourceFactory),
+    max: 1,
+    min: 0,
+    idleTimeoutMillis: 100,
+    acquireTimeoutMillis: 10000
+  });
+
+  pool
+    .acquire()
+    .then(obj => {
+      return pool.acquire({ timeoutMillis: 20 }).catch(e => {
+        t.ok(e instanceof TimeoutError);
+        t.equal(e.timeoutMillis, 20);
+        t.ok(e.elapsedMillis >= 15);
+        t.equal(pool.waiting, 0);
         pool.release(obj);
         t.end();
       });
@@ -67,6 +97,7 @@ tap.test("removes correct object on reap", t => {
 tap.test("drains", t => {
   const count = 5;
   let acquired = 0;
+  let rejected = 0;
 
   const resourceFactory = new ResourceFactory();
 
@@ -81,24 +112,32 @@ tap.test("drains", t => {
   });
 
   // request 5 resources that release after 250ms
+  const acquires = [];
   for (let i = 0; i < count; i++) {
-    pool.acquire().then(client => {
-      acquired += 1;
-      t.equal(typeof client.id, "number");
-      setTimeout(() => {
-        pool.destroy(client);
-      }, 250);
-    });
+    acquires.push(
+      pool.acquire().then(
+        client => {
+          acquired += 1;
+          t.equal(typeof client.id, "number");
+          setTimeout(() => {
+            pool.destroy(client);
+          }, 250);
+        },
+        e => {
+          rejected += 1;
+          t.ok(e instanceof DrainError);
+        }
+      )
+    );
   }
 
   // ensure there are objects in pending queue
   // so drain can clear both pending and in-use queues
-  t.notEqual(count, acquired);
-
-  pool
-    .drain()
+  Promise.all(acquires.slice(0, 2))
+    .then(() => pool.drain())
     .then(() => {
-      t.equal(count, acquired);
+      t.equal(acquired, 2);
+      t.equal(rejected, count - 2);
       t.equal(pool.available, 0);
       t.equal(pool.waiting, 0);
       t.equal(pool.using, 0);
@@ -306,3 +345,42 @@ tap.test("returns only valid object to the pool", t => {
     })
     .catch(t.threw);
 });
+
+tap.test("dispenseOrder", t => {
+  const acquireReleased = dispenseOrder => {
+    const resourceFactory = new ResourceFactory();
+    const pool = new Pool({
+      name: `test-dispense-${dispenseOrder}`,
+      create: resourceFactory.create.bind(resourceFactory),
+      destroy: resourceFactory.destroy.bind(resourceFactory),
+      validate: resourceFactory.validate.bind(resourceFactory),
+      max: 3,
+      min: 0,
+      idleTimeoutMillis: 100,
+      dispenseOrder
+    });
+
+    return Promise.all([pool.acquire(), pool.acquire(), pool.acquire()])
+      .then(objs => {
+        objs.forEach(obj => pool.release(obj));
+        return pool.acquire();
+      })
+      .then(obj => {
+        pool.release(obj);
+        return obj.id;
+      });
+  };
+
+  Promise.all([
+    acquireReleased("fifo"),
+    acquireReleased("lifo"),
+    acquireReleased("random")
+  ])
+    .then(ids => {
+      t.equal(ids[0], 0);
+      t.equal(ids[1], 2);
+      t.ok([0, 1, 2].indexOf(ids[2]) >= 0);
+      t.end();
+    })
+    .catch(t.threw);
+});
@@ -0,0 +1,116 @@
+"use strict";
+
+const tap = require("tap");
+const { createPool, delay } = require("../utils");
+
+tap.test("serves higher priority waiters first", t => {
+  const { pool } = createPool("test-priority", { priorityRange: 3 });
+  const served = [];
+
+  const acquireAndRelease = (label, priority) =>
+    pool.acquire({ priority }).then(obj => {
+      served.push(label);
+      return delay(5).then(() => pool.release(obj));
+    });
+
+  pool
+    .acquire()
+    .then(obj => {
+      const all = Promise.all([
+        acquireAndRelease("low", 2),
+        acquireAndRelease("normal", 1),
+        acquireAndRelease("high", 0),
+        acquireAndRelease("low-2", 2),
+        acquireAndRelease("high-2", 0)
+      ]);
+
+      t.equal(pool.waiting, 5);
+      pool.release(obj);
+
+      return all;
+    })
+    .then(() => {
+      t.same(served, ["high", "high-2", "normal", "low", "low-2"]);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("serves highest priority waiter on create", t => {
+  const { pool } = createPool("test-priority-create", { priorityRange: 2 });
+  const served = [];
+
+  Promise.all([
+    pool.acquire({ priority: 1 }).then(obj => {
+      served.push("low");
+      pool.release(obj);
+    }),
+    pool.acquire({ priority: 0 }).then(obj => {
+      served.push("high");
+      pool.release(obj);
+    })
+  ])
+    .then(() => {
+      t.same(served, ["high", "low"]);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("treats out of range priorities as lowest", t => {
+  const { pool } = createPool("test-priority-range", { priorityRange: 2 });
+  const served = [];
+
+  pool
+    .acquire()
+    .then(obj => {
+      const all = Promise.all(
+        [["invalid", 7], ["low", 1], ["negative", -1], ["high", 0]].map(args =>
+          pool.acquire({ priority: args[1] }).then(obj => {
+            served.push(args[0]);
+            pool.release(obj);
+          })
+        )
+      );
+
+      pool.release(obj);
+      return all;
+    })
+    .then(() => {
+      t.same(served, ["high", "invalid", "low", "negative"]);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("promotes aged waiters", t => {
+  const { pool } = createPool("test-priority-aging", {
+    priorityRange: 2,
+    priorityAgingMillis: 20
+  });
+  const served = [];
+
+  pool
+    .acquire()
+    .then(obj => {
+      const low = pool.acquire({ priority: 1 }).then(obj => {
+        served.push("low");
+        pool.release(obj);
+      });
+
+      return delay(30).then(() => {
+        const high = pool.acquire({ priority: 0 }).then(obj => {
+          served.push("high");
+          pool.release(obj);
+        });
+
+        pool.release(obj);
+        return Promise.all([low, high]);
+      });
+    })
+    .then(() => {
+      t.same(served, ["low", "high"]);
+      t.end();
+    })
+    .catch(t.threw);
+});
@@ -0,0 +1,84 @@
+"use strict";
+
+const tap = require("tap");
+const { QueueFullError } = require("../..");
+const { createPool, delay } = require("../utils");
+
+const defaults = { maxWaitingClients: 2 };
+
+tap.test("rejects new acquires when the queue is full", t => {
+  const { pool } = createPool("test-queue-full", defaults);
+  const rejected = [];
+  pool.on("queueFull", data => rejected.push(data));
+
+  pool
+    .acquire()
+    .then(obj => {
+      const waiting = [pool.acquire(), pool.acquire()];
+
+      return pool
+        .acquire()
+        .then(() => t.fail("should have rejected"))
+        .catch(error => {
+          t.ok(error instanceof QueueFullError);
+          t.equal(error.message, "pool waiting queue is full");
+          t.equal(pool.waiting, 2);
+          t.same(rejected.map(data => data.duration), [0]);
+          t.equal(pool.metrics().queueFullRejections, 1);
+
+          pool.release(obj);
+          return waiting[0];
+        })
+        .then(obj => {
+          pool.release(obj);
+          return waiting[1];
+        });
+    })
+    .then(obj => {
+      pool.release(obj);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("sheds the oldest waiter with queueFullPolicy oldest", t => {
+  const { pool } = createPool("test-queue-oldest", defaults, {
+    queueFullPolicy: "oldest",
+    priorityRange: 2
+  });
+
+  pool
+    .acquire()
+    .then(obj => {
+      const oldest = pool.acquire({ priority: 1 }).catch(error => error);
+
+      return delay(5).then(() => {
+        const older = pool.acquire();
+        const newest = pool.acquire();
+
+        return oldest.then(error => {
+          t.ok(error instanceof QueueFullError);
+          t.equal(pool.waiting, 2);
+
+          pool.release(obj);
+          return older
+            .then(obj => {
+              pool.release(obj);
+              return newest;
+            })
+            .then(obj => pool.release(obj));
+        });
+      });
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("rejects unknown queueFullPolicy", t => {
+  t.throws(
+    () =>
+      createPool("test-queue-policy", defaults, { queueFullPolicy: "random" }),
+    /queueFullPolicy must be one of newest, oldest/
+  );
+  t.end();
+});
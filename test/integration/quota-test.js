@@ -0,0 +1,147 @@
+"use strict";
+
+const tap = require("tap");
+const { QueueFullError } = require("../..");
+const { createPool } = require("../utils");
+
+const defaults = {
+  max: 3,
+  quotas: { reports: { maxInUse: 1, maxWaiting: 1 } }
+};
+
+tap.test("holds requests back at the maxInUse of their key", t => {
+  const { pool, resourceFactory } = createPool("test-quota-in-use", defaults);
+  let served = null;
+
+  pool
+    .acquire({ key: "reports" })
+    .then(obj => {
+      const waiting = pool.acquire({ key: "reports" }).then(obj2 => {
+        served = obj2;
+      });
+
+      return pool.acquire({ key: "api" }).then(other => {
+        // the waiting report did not get a resource of its own
+        t.equal(resourceFactory.created, 2);
+        t.equal(served, null);
+        t.equal(pool.waiting, 1);
+
+        pool.release(other);
+        t.equal(served, null);
+
+        pool.release(obj);
+        return waiting;
+      });
+    })
+    .then(() => {
+      t.ok(served);
+      t.equal(resourceFactory.created, 2);
+      pool.release(served);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("rejects requests over the maxWaiting of their key", t => {
+  const { pool } = createPool("test-quota-waiting", defaults);
+  const rejected = [];
+  pool.on("queueFull", data => rejected.push(data));
+
+  pool
+    .acquire({ key: "reports" })
+    .then(obj => {
+      const waiting = pool.acquire({ key: "reports" });
+
+      return pool
+        .acquire({ key: "reports" })
+        .then(() => t.fail("should have rejected"))
+        .catch(error => {
+          t.ok(error instanceof QueueFullError);
+          t.equal(error.message, "waiting queue of reports is full");
+          t.equal(rejected.length, 1);
+          t.match(rejected[0], { duration: 0, key: "reports" });
+          t.equal(pool.metrics().queueFullRejections, 1);
+
+          pool.release(obj);
+          return waiting;
+        });
+    })
+    .then(obj => {
+      pool.release(obj);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("applies defaultQuota to other keys", t => {
+  const { pool } = createPool("test-quota-default", defaults, {
+    defaultQuota: { maxWaiting: 1 },
+    max: 1
+  });
+
+  pool
+    .acquire({ key: "api" })
+    .then(obj => {
+      const waiting = pool.acquire({ key: "api" });
+
+      return pool
+        .acquire({ key: "api" })
+        .then(() => t.fail("should have rejected"))
+        .catch(error => {
+          t.ok(error instanceof QueueFullError);
+
+          // requests without a key are not limited
+          const unkeyed = pool.acquire();
+          t.equal(pool.waiting, 2);
+
+          pool.release(obj);
+          return waiting.then(obj => {
+            pool.release(obj);
+            return unkeyed;
+          });
+        });
+    })
+    .then(obj => {
+      pool.release(obj);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("frees the quota of destroyed resources", t => {
+  const { pool } = createPool("test-quota-destroy", defaults);
+
+  pool
+    .acquire({ key: "reports" })
+    .then(obj => {
+      const waiting = pool.acquire({ key: "reports" });
+      pool.destroy(obj);
+      return waiting;
+    })
+    .then(obj => {
+      t.equal(obj.id, 1);
+      pool.release(obj);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("lists per-key counters in inspect", t => {
+  const { pool } = createPool("test-quota-inspect", defaults);
+
+  pool
+    .acquire({ key: "api" })
+    .then(obj => {
+      const snapshot = pool.inspect();
+
+      t.same(snapshot.keys, {
+        reports: { inUse: 0, waiting: 0, maxInUse: 1, maxWaiting: 1 },
+        api: { inUse: 1, waiting: 0, maxInUse: 0, maxWaiting: 0 }
+      });
+
+      pool.release(obj);
+      t.same(pool.inspect().keys.api, undefined);
+      t.end();
+    })
+    .catch(t.threw);
+});
@@ -0,0 +1,100 @@
+"use strict";
+
+const tap = require("tap");
+const { createPool, delay } = require("../utils");
+
+tap.test("destroys resources on release after maxUses", t => {
+  const { pool, resourceFactory } = createPool("test-max-uses", {
+    maxUses: 2
+  });
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.release(obj);
+      return pool.acquire();
+    })
+    .then(obj => {
+      t.equal(obj.id, 0);
+      pool.release(obj);
+
+      t.equal(resourceFactory.destroyed, 1);
+      t.equal(pool.size, 0);
+      return pool.acquire();
+    })
+    .then(obj => {
+      t.equal(obj.id, 1);
+      pool.release(obj);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("replaces retired resource for waiting clients", t => {
+  const { pool } = createPool("test-max-uses-waiting", { maxUses: 1 });
+
+  pool
+    .acquire()
+    .then(obj => {
+      const waiting = pool.acquire();
+      pool.release(obj);
+      return waiting;
+    })
+    .then(obj => {
+      t.equal(obj.id, 1);
+      pool.release(obj);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("destroys resources on release after maxLifetimeMillis", t => {
+  const { pool, resourceFactory } = createPool("test-max-lifetime", {
+    maxLifetimeMillis: 20
+  });
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.release(obj);
+      t.equal(pool.available, 1);
+
+      return pool.acquire();
+    })
+    .then(obj => delay(30).then(() => obj))
+    .then(obj => {
+      pool.release(obj);
+      t.equal(resourceFactory.destroyed, 1);
+      t.equal(pool.available, 0);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("removes idle resources after maxLifetimeMillis despite min", t => {
+  const { pool, resourceFactory } = createPool("test-max-lifetime-idle", {
+    max: 2,
+    min: 1,
+    maxLifetimeMillis: 30,
+    maxLifetimeJitterMillis: 10,
+    idleTimeoutMillis: 10000,
+    reapIntervalMillis: 10
+  });
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.release(obj);
+      return delay(60);
+    })
+    .then(() => {
+      t.ok(resourceFactory.destroyed >= 1);
+      t.equal(resourceFactory.bin[0].id, 0);
+      // replaced to keep min
+      t.equal(pool.size, 1);
+
+      return pool.drain().then(() => pool.destroyAllNow());
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
@@ -0,0 +1,172 @@
+"use strict";
+
+const tap = require("tap");
+const { createPool, delay } = require("../utils");
+
+tap.test("requires factory.reset for resetOnRelease", t => {
+  t.throws(
+    () => createPool("test-release-reset-required", { resetOnRelease: true }),
+    /reset function is required for resetOnRelease/
+  );
+  t.end();
+});
+
+tap.test("resets resources before they become available", t => {
+  const resets = [];
+  const { pool } = createPool("test-release-reset", {
+    resetOnRelease: true,
+    reset: (resource, tags) =>
+      delay(10).then(() => resets.push({ id: resource.id, tags }))
+  });
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.setTags(obj, { schema: "a" });
+      pool.release(obj);
+
+      t.equal(pool.available, 0);
+      t.equal(pool.inspect().resources[0].state, "resetting");
+
+      return pool.acquire();
+    })
+    .then(obj => {
+      t.same(resets, [{ id: 0, tags: { schema: "a" } }]);
+      t.equal(obj.id, 0);
+      pool.release(obj);
+      return pool.drain().then(() => pool.destroyAllNow());
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("destroys resources failing reset on release", t => {
+  const { pool, resourceFactory } = createPool("test-release-reset-error", {
+    resetOnRelease: true,
+    reset: () => Promise.reject(new Error("transaction still open"))
+  });
+  const failures = [];
+  pool.on("resetError", data => failures.push(data));
+
+  pool
+    .acquire()
+    .then(obj => {
+      const waiting = pool.acquire();
+      pool.release(obj);
+      return waiting;
+    })
+    .then(obj => {
+      t.equal(obj.id, 1);
+      t.equal(resourceFactory.destroyed, 1);
+      t.equal(failures[0].error.message, "transaction still open");
+      pool.destroy(obj);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("validates resources on release", t => {
+  let valid = true;
+  const { pool, resourceFactory } = createPool("test-release-validate", {
+    validateOnRelease: true,
+    validate: () => Promise.resolve(valid)
+  });
+  const failures = [];
+  pool.on("validateFail", data => failures.push(data));
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.release(obj);
+      return pool.acquire();
+    })
+    .then(obj => {
+      t.equal(obj.id, 0);
+
+      valid = false;
+      pool.release(obj);
+      return delay(10);
+    })
+    .then(() => {
+      t.equal(resourceFactory.destroyed, 1);
+      t.equal(failures.length, 1);
+      t.equal(pool.size, 0);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("destroys resources released with a breaking error", t => {
+  const { pool, resourceFactory } = createPool("test-release-broken", {
+    isResourceBroken: error => error.code === "ECONNRESET"
+  });
+  const releases = [];
+  pool.on("release", data => releases.push(data));
+  const reset = new Error("connection reset");
+  reset.code = "ECONNRESET";
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.release(obj, new Error("syntax error"));
+      t.equal(pool.available, 1);
+
+      return pool.acquire();
+    })
+    .then(obj => {
+      const waiting = pool.acquire();
+      pool.release(obj, reset);
+
+      t.equal(resourceFactory.destroyed, 1);
+      t.equal(releases[1].error, reset);
+      t.equal(releases[1].broken, true);
+      t.equal(pool.metrics().brokenReleases, 1);
+      return waiting;
+    })
+    .then(obj => {
+      t.equal(obj.id, 1);
+      pool.release(obj);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("destroys resources isResourceBroken throws for", t => {
+  const { pool, resourceFactory } = createPool("test-release-broken-throw", {
+    isResourceBroken: error => error.code.startsWith("E")
+  });
+
+  pool
+    .acquire()
+    .then(obj => {
+      const waiting = pool.acquire();
+      // no code, the classifier throws a TypeError
+      pool.release(obj, new Error("unexpected"));
+
+      t.equal(pool.using, 0);
+      t.equal(resourceFactory.destroyed, 1);
+      return waiting;
+    })
+    .then(obj => {
+      t.equal(obj.id, 1);
+      pool.release(obj);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("use() releases with the error of its callback", t => {
+  const { pool, resourceFactory } = createPool("test-release-use", {
+    isResourceBroken: error => error.fatal
+  });
+  const error = new Error("protocol error");
+  error.fatal = true;
+
+  t.rejects(pool.use(() => Promise.reject(error)), error)
+    .then(() => {
+      t.equal(resourceFactory.destroyed, 1);
+      t.equal(pool.size, 0);
+      t.end();
+    })
+    .catch(t.threw);
+});
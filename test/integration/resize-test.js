@@ -0,0 +1,95 @@
+"use strict";
+
+const tap = require("tap");
+const { createPool, delay } = require("../utils");
+
+tap.test("validates new bounds", t => {
+  const { pool } = createPool("test-resize-bounds", { max: 2 });
+
+  t.throws(() => pool.resize({ min: 3 }), /max is smaller than min/);
+  t.throws(() => pool.resize({ max: 0 }), /max must be an integer > 0/);
+  t.throws(() => pool.resize({ min: 1.5 }), /min must be an integer >= 0/);
+  t.equal(pool.minSize, 0);
+  t.equal(pool.maxSize, 2);
+
+  pool.resize({ max: 4 });
+  t.equal(pool.minSize, 0);
+  t.equal(pool.maxSize, 4);
+  t.end();
+});
+
+tap.test("creates resources when min grows", t => {
+  const { pool, resourceFactory } = createPool("test-resize-min", { max: 3 });
+
+  pool.resize({ min: 2 });
+  t.equal(pool.size, 2);
+
+  delay(10)
+    .then(() => {
+      t.equal(resourceFactory.created, 2);
+      t.equal(pool.available, 2);
+
+      return pool.drain().then(() => pool.destroyAllNow());
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("serves waiting clients when max grows", t => {
+  const { pool } = createPool("test-resize-grow");
+
+  pool
+    .acquire()
+    .then(obj => {
+      const waiting = Promise.all([pool.acquire(), pool.acquire()]);
+      t.equal(pool.waiting, 2);
+
+      pool.resize({ max: 3 });
+      return waiting.then(objs => {
+        t.equal(pool.using, 3);
+        t.equal(pool.waiting, 0);
+        objs.concat(obj).forEach(resource => pool.release(resource));
+      });
+    })
+    .then(() => pool.drain())
+    .then(() => pool.destroyAllNow())
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("destroys surplus resources when max shrinks", t => {
+  const { pool, resourceFactory } = createPool("test-resize-shrink", {
+    max: 3
+  });
+
+  Promise.all([pool.acquire(), pool.acquire(), pool.acquire()])
+    .then(objs => {
+      pool.release(objs[0]);
+      pool.resize({ max: 1 });
+
+      t.equal(pool.size, 2);
+      t.equal(pool.available, 0);
+      t.equal(resourceFactory.destroyed, 1);
+
+      pool.release(objs[1]);
+      t.equal(pool.size, 1);
+      t.equal(resourceFactory.destroyed, 2);
+
+      pool.release(objs[2]);
+      t.equal(pool.size, 1);
+      t.equal(pool.available, 1);
+    })
+    .then(() => pool.drain())
+    .then(() => pool.destroyAllNow())
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("keeps both bounds when called without options", t => {
+  const { pool } = createPool("test-resize-noop");
+
+  pool.resize();
+  t.equal(pool.minSize, 0);
+  t.equal(pool.maxSize, 1);
+  t.end();
+});
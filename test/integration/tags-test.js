@@ -0,0 +1,142 @@
+"use strict";
+
+const tap = require("tap");
+const { createPool, delay } = require("../utils");
+
+tap.test("prefers idle resources with matching tags", t => {
+  const resets = [];
+  const { pool } = createPool(
+    "test-tags-match",
+    { max: 2 },
+    {
+      reset: (resource, tags) => resets.push(tags)
+    }
+  );
+
+  Promise.all([pool.acquire(), pool.acquire()])
+    .then(objs => {
+      pool.setTags(objs[0], { schema: "a" });
+      pool.setTags(objs[1], { schema: "b", readOnly: true });
+      objs.forEach(obj => pool.release(obj));
+
+      return pool.acquire({ match: { schema: "b" } });
+    })
+    .then(obj => {
+      t.equal(obj.id, 1);
+      t.same(pool.getTags(obj), { schema: "b", readOnly: true });
+      t.same(resets, []);
+      pool.release(obj);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("resets another resource when none matches", t => {
+  const resets = [];
+  const { pool } = createPool(
+    "test-tags-reset",
+    { max: 2 },
+    {
+      max: 1,
+      create: () => {
+        const resource = { id: 0 };
+        pool.setTags(resource, { schema: "a", readOnly: true });
+        return Promise.resolve(resource);
+      },
+      reset: (resource, tags) =>
+        delay(5).then(() => resets.push({ id: resource.id, tags }))
+    }
+  );
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.release(obj);
+      const acquired = pool.acquire({ match: { schema: "b" } });
+
+      t.equal(pool.inspect().resources[0].state, "resetting");
+      return acquired;
+    })
+    .then(obj => {
+      t.same(resets, [{ id: 0, tags: { schema: "b" } }]);
+      t.same(pool.getTags(obj), { schema: "b", readOnly: true });
+      t.same(pool.inspect().resources[0].tags, { schema: "b", readOnly: true });
+      pool.release(obj);
+
+      return pool.acquire({ match: { schema: "b" } });
+    })
+    .then(obj => {
+      t.equal(resets.length, 1);
+      pool.release(obj);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("resets new resources handed to a matching acquire", t => {
+  const { pool } = createPool(
+    "test-tags-create",
+    { max: 2 },
+    {
+      reset: () => {}
+    }
+  );
+
+  pool
+    .acquire({ match: { schema: "a" } })
+    .then(obj => {
+      t.same(pool.getTags(obj), { schema: "a" });
+      pool.release(obj);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("destroys resources failing reset", t => {
+  const error = new Error("permission denied");
+  const { pool, resourceFactory } = createPool(
+    "test-tags-reset-error",
+    { max: 2 },
+    {
+      max: 1,
+      reset: resource =>
+        resource.id === 0 ? Promise.reject(error) : Promise.resolve()
+    }
+  );
+  const failures = [];
+  pool.on("resetError", data => failures.push(data));
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.release(obj);
+      return pool.acquire({ match: { schema: "b" } });
+    })
+    .then(obj => {
+      t.equal(obj.id, 1);
+      t.equal(resourceFactory.destroyed, 1);
+      t.equal(failures.length, 1);
+      t.equal(failures[0].error, error);
+      pool.release(obj);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("hands out any resource without factory.reset", t => {
+  const { pool } = createPool("test-tags-no-reset", { max: 2 });
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.setTags(obj, { schema: "a" });
+      pool.release(obj);
+      return pool.acquire({ match: { schema: "b" } });
+    })
+    .then(obj => {
+      t.same(pool.getTags(obj), { schema: "a" });
+      pool.release(obj);
+      t.end();
+    })
+    .catch(t.threw);
+});
@@ -0,0 +1,97 @@
+"use strict";
+
+const tap = require("tap");
+const { createPool, delay } = require("../utils");
+
+tap.test("releases resource after callback resolves", t => {
+  const { pool } = createPool("test-use");
+
+  pool
+    .use(resource => {
+      t.equal(pool.using, 1);
+      return delay(5).then(() => resource.id + 10);
+    })
+    .then(result => {
+      t.equal(result, 10);
+      t.equal(pool.using, 0);
+      t.equal(pool.available, 1);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("releases resource on non fatal errors", t => {
+  const { pool, resourceFactory } = createPool("test-use-error", {
+    isFatalError: error => error.code === "ECONNRESET"
+  });
+  const error = new Error("syntax error");
+
+  t.rejects(pool.use(() => Promise.reject(error)), error)
+    .then(() => {
+      t.equal(pool.available, 1);
+      t.equal(resourceFactory.destroyed, 0);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("destroys resource on fatal errors", t => {
+  const { pool, resourceFactory } = createPool("test-use-fatal", {
+    isFatalError: error => error.code === "ECONNRESET"
+  });
+  const error = new Error("connection reset");
+  error.code = "ECONNRESET";
+
+  t.rejects(
+    pool.use(() => {
+      throw error;
+    }),
+    error
+  )
+    .then(() => {
+      t.equal(pool.size, 0);
+      t.equal(pool.available, 0);
+      t.equal(resourceFactory.destroyed, 1);
+
+      return pool.use(resource => resource.id);
+    })
+    .then(id => {
+      t.equal(id, 1);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("serves waiters after destroying on fatal errors", t => {
+  const { pool } = createPool("test-use-fatal-waiting", {
+    isFatalError: () => true
+  });
+
+  Promise.all([
+    pool.use(() => Promise.reject(new Error("broken"))).catch(() => null),
+    pool.use(resource => resource.id)
+  ])
+    .then(results => {
+      t.same(results, [null, 1]);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("destroys resource when isFatalError throws", t => {
+  const { pool, resourceFactory } = createPool("test-use-fatal-throws", {
+    isFatalError: () => {
+      throw new Error("classifier failed");
+    }
+  });
+  const error = new Error("query failed");
+
+  t.rejects(pool.use(() => Promise.reject(error)), error)
+    .then(() => {
+      t.equal(pool.size, 0);
+      t.equal(pool.using, 0);
+      t.equal(resourceFactory.destroyed, 1);
+      t.end();
+    })
+    .catch(t.threw);
+});
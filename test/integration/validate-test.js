@@ -0,0 +1,202 @@
+"use strict";
+
+const tap = require("tap");
+const Pool = require("../..").Pool;
+const { ResourceFactory, delay } = require("../utils");
+
+tap.test("waits for async validation before dispensing", t => {
+  const resourceFactory = new ResourceFactory();
+  let validateCalled = 0;
+
+  const pool = new Pool({
+    name: "test-async-validate",
+    create: resourceFactory.create.bind(resourceFactory),
+    destroy: resourceFactory.destroy.bind(resourceFactory),
+    validate: () => {
+      validateCalled++;
+      return delay(10).then(() => true);
+    },
+    max: 1,
+    min: 0,
+    idleTimeoutMillis: 100
+  });
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.release(obj);
+      t.equal(pool.available, 1);
+
+      const reacquire = pool.acquire();
+      // resource is held back while it is being validated
+      t.equal(pool.available, 0);
+      t.equal(pool.using, 0);
+
+      return reacquire.then(obj2 => {
+        t.equal(obj2, obj);
+        t.equal(validateCalled, 1);
+        t.equal(pool.using, 1);
+        pool.release(obj2);
+      });
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("destroys and retries when async validation fails", t => {
+  const resourceFactory = new ResourceFactory();
+
+  const pool = new Pool({
+    name: "test-async-validate-fail",
+    create: resourceFactory.create.bind(resourceFactory),
+    destroy: resourceFactory.destroy.bind(resourceFactory),
+    validate: resource =>
+      resource.id === 0
+        ? Promise.reject(new Error("connection lost"))
+        : Promise.resolve(true),
+    max: 1,
+    min: 0,
+    idleTimeoutMillis: 100
+  });
+
+  pool
+    .acquire()
+    .then(obj => {
+      t.equal(obj.id, 0);
+      pool.release(obj);
+      return pool.acquire();
+    })
+    .then(obj => {
+      t.equal(obj.id, 1);
+      t.equal(resourceFactory.destroyed, 1);
+      t.equal(resourceFactory.bin[0].id, 0);
+      t.equal(pool.size, 1);
+      pool.release(obj);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("destroys and retries when validation throws", t => {
+  const resourceFactory = new ResourceFactory();
+  const failures = [];
+
+  const pool = new Pool({
+    name: "test-validate-throw",
+    create: resourceFactory.create.bind(resourceFactory),
+    destroy: resourceFactory.destroy.bind(resourceFactory),
+    validate: resource => {
+      if (resource.id === 0) throw new Error("connection lost");
+      return true;
+    },
+    max: 1,
+    min: 0,
+    idleTimeoutMillis: 100
+  });
+  pool.on("validateFail", data => failures.push(data));
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.release(obj);
+      return pool.acquire();
+    })
+    .then(obj => {
+      t.equal(obj.id, 1);
+      t.equal(failures.length, 1);
+      t.equal(failures[0].error.message, "connection lost");
+      t.equal(resourceFactory.destroyed, 1);
+      t.equal(pool.size, 1);
+      pool.release(obj);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("destroys resource when async validation times out", t => {
+  const resourceFactory = new ResourceFactory();
+
+  const pool = new Pool({
+    name: "test-async-validate-timeout",
+    create: resourceFactory.create.bind(resourceFactory),
+    destroy: resourceFactory.destroy.bind(resourceFactory),
+    validate: resource =>
+      resource.id === 0 ? new Promise(() => {}) : Promise.resolve(true),
+    validateTimeoutMillis: 20,
+    max: 1,
+    min: 0,
+    idleTimeoutMillis: 100
+  });
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.release(obj);
+      return pool.acquire();
+    })
+    .then(obj => {
+      t.equal(obj.id, 1);
+      t.equal(resourceFactory.bin[0].id, 0);
+      pool.release(obj);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("does not hand out a resource twice while validating", t => {
+  const resourceFactory = new ResourceFactory();
+
+  const pool = new Pool({
+    name: "test-async-validate-concurrent",
+    create: resourceFactory.create.bind(resourceFactory),
+    destroy: resourceFactory.destroy.bind(resourceFactory),
+    validate: () => delay(10).then(() => true),
+    max: 2,
+    min: 0,
+    idleTimeoutMillis: 100
+  });
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.release(obj);
+      return Promise.all([pool.acquire(), pool.acquire()]);
+    })
+    .then(objs => {
+      t.notEqual(objs[0], objs[1]);
+      t.equal(pool.using, 2);
+      objs.forEach(obj => pool.release(obj));
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("returns resource to pool when waiter timed out", t => {
+  const resourceFactory = new ResourceFactory();
+
+  const pool = new Pool({
+    name: "test-async-validate-waiter-timeout",
+    create: resourceFactory.create.bind(resourceFactory),
+    destroy: resourceFactory.destroy.bind(resourceFactory),
+    validate: () => delay(50).then(() => true),
+    acquireTimeoutMillis: 10,
+    max: 1,
+    min: 0,
+    idleTimeoutMillis: 100
+  });
+
+  pool
+    .acquire()
+    .then(obj => {
+      pool.release(obj);
+      return t.rejects(pool.acquire());
+    })
+    .then(() => delay(60))
+    .then(() => {
+      t.equal(pool.available, 1);
+      t.equal(pool.using, 0);
+      t.equal(resourceFactory.destroyed, 0);
+      t.end();
+    })
+    .catch(t.threw);
+});
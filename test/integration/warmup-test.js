@@ -0,0 +1,113 @@
+"use strict";
+
+const tap = require("tap");
+const { createPool, delay } = require("../utils");
+
+const defaults = { max: 3, min: 2 };
+
+tap.test("creates min resources on construction with warmup", t => {
+  const { pool, resourceFactory } = createPool("test-warmup", defaults, {
+    warmup: true
+  });
+
+  t.equal(pool.size, 2);
+
+  pool
+    .ready()
+    .then(() => {
+      t.equal(resourceFactory.created, 2);
+      t.equal(pool.available, 2);
+      return pool.ready();
+    })
+    .then(() => {
+      t.equal(resourceFactory.created, 2);
+      return pool.drain().then(() => pool.destroyAllNow());
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("creates nothing until ready() without warmup", t => {
+  const { pool, resourceFactory } = createPool("test-warmup-lazy", defaults);
+
+  t.equal(pool.size, 0);
+
+  pool
+    .ready()
+    .then(() => {
+      t.equal(resourceFactory.created, 2);
+      t.equal(pool.available, 2);
+      return pool.drain().then(() => pool.destroyAllNow());
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("resolves at once when min is 0", t => {
+  const { pool } = createPool("test-warmup-empty", defaults, {
+    min: 0,
+    warmup: true
+  });
+
+  pool
+    .ready()
+    .then(() => {
+      t.equal(pool.size, 0);
+      t.end();
+    })
+    .catch(t.threw);
+});
+
+tap.test("rejects with the create errors", t => {
+  let attempts = 0;
+  const { pool } = createPool("test-warmup-error", defaults, {
+    warmup: true,
+    create: () =>
+      attempts++ === 0
+        ? Promise.reject(new Error("connection refused"))
+        : Promise.resolve({ id: attempts })
+  });
+
+  pool
+    .ready()
+    .then(() => t.fail("should have rejected"))
+    .catch(error => {
+      t.match(error.message, /pool warmup failed/);
+      t.equal(error.errors.length, 1);
+      t.equal(error.errors[0].message, "connection refused");
+      t.equal(pool.size, 1);
+
+      // the failure is not cached
+      return pool.ready();
+    })
+    .then(() => {
+      t.equal(pool.size, 2);
+      return pool.drain().then(() => pool.destroyAllNow());
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
+
+tap.test("waits for creates already pending", t => {
+  let attempts = 0;
+  let created = 0;
+  const { pool } = createPool("test-warmup-pending", defaults, {
+    create: () =>
+      delay(attempts++ === 0 ? 30 : 1).then(() => ({ id: created++ }))
+  });
+
+  const acquiring = pool.acquire();
+
+  pool
+    .ready()
+    .then(() => {
+      t.equal(created, 2);
+      return acquiring;
+    })
+    .then(obj => {
+      pool.release(obj);
+      return pool.drain().then(() => pool.destroyAllNow());
+    })
+    .then(t.end)
+    .catch(t.threw);
+});
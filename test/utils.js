@@ -1,5 +1,7 @@
 "use strict";
 
+const { Pool } = require("..");
+
 /**
  * Generic class for handling creation of resources
  * for testing
@@ -29,6 +31,62 @@ class ResourceFactory {
 
 exports.ResourceFactory = ResourceFactory;
 
+/**
+ * Pool of `ResourceFactory` resources for testing, holding at most one
+ * of them by default.
+ *
+ * @param {String} name
+ * @param {...Object} options factory options overriding the defaults, merged in order
+ * @returns {{ pool: Pool, resourceFactory: ResourceFactory }}
+ */
+function createPool(name, ...options) {
+  const resourceFactory = new ResourceFactory();
+
+  const pool = new Pool(
+    Object.assign(
+      {
+        name,
+        create: resourceFactory.create.bind(resourceFactory),
+        destroy: resourceFactory.destroy.bind(resourceFactory),
+        validate: resourceFactory.validate.bind(resourceFactory),
+        max: 1,
+        min: 0,
+        idleTimeoutMillis: 100
+      },
+      ...options
+    )
+  );
+
+  return { pool, resourceFactory };
+}
+exports.createPool = createPool;
+
+/**
+ * Minimal AbortController for node versions without a global one
+ */
+class SimpleAbortController {
+  constructor() {
+    const listeners = [];
+
+    this.signal = {
+      aborted: false,
+      addEventListener: (type, listener) => listeners.push(listener),
+      removeEventListener: (type, listener) => {
+        const index = listeners.indexOf(listener);
+        if (index >= 0) listeners.splice(index, 1);
+      }
+    };
+
+    this.abort = () => {
+      if (this.signal.aborted) return;
+      this.signal.aborted = true;
+      listeners.slice().forEach(listener => listener());
+    };
+  }
+}
+
+exports.AbortController = global.AbortController || SimpleAbortController;
+
 function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }